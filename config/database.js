@@ -7,7 +7,12 @@ const usePostgreSQL = process.env.DB_TYPE !== "sqlite";
 
 if (usePostgreSQL) {
   try {
-    const { Pool } = require("pg");
+    const { Pool, types } = require("pg");
+
+    // Return DATE columns as YYYY-MM-DD text, as SQLite does. pg would
+    // otherwise build a Date at local midnight, which serialises as a full
+    // timestamp and, outside UTC, as the previous day.
+    types.setTypeParser(types.builtins.DATE, (value) => value);
 
     const pool = new Pool({
       host: process.env.DB_HOST,
@@ -36,6 +41,25 @@ if (usePostgreSQL) {
       pool,
       type: "postgresql",
       query: (text, params) => pool.query(text, params),
+      // Run callback inside a transaction on a dedicated client. The callback
+      // receives an object with the same `type`/`query` shape as `db`.
+      transaction: async (callback) => {
+        const client = await pool.connect();
+        try {
+          await client.query("BEGIN");
+          const result = await callback({
+            type: "postgresql",
+            query: (text, params) => client.query(text, params),
+          });
+          await client.query("COMMIT");
+          return result;
+        } catch (error) {
+          await client.query("ROLLBACK");
+          throw error;
+        } finally {
+          client.release();
+        }
+      },
     };
   } catch (error) {
     if (process.env.NODE_ENV !== "production") {
@@ -50,7 +74,9 @@ if (!db) {
   const sqlite3 = require("sqlite3").verbose();
   const path = require("path");
 
-  const dbPath = path.join(__dirname, "..", "data", "database.sqlite");
+  const dbPath =
+    process.env.DB_PATH ||
+    path.join(__dirname, "..", "data", "database.sqlite");
 
   // Ensure data directory exists
   const fs = require("fs");
@@ -70,34 +96,58 @@ if (!db) {
   // Enable foreign keys
   sqliteDb.run("PRAGMA foreign_keys = ON");
 
+  const query = (text, params = []) => {
+    return new Promise((resolve, reject) => {
+      // Convert PostgreSQL-style $1, $2 to SQLite numbered ?1, ?2 so a
+      // placeholder may be reused or appear out of order
+      const sqliteQuery = text.replace(/\$(\d+)/g, "?$1");
+
+      if (
+        text.trim().toUpperCase().startsWith("SELECT") ||
+        text.trim().toUpperCase().startsWith("WITH")
+      ) {
+        sqliteDb.all(sqliteQuery, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve({ rows });
+        });
+      } else {
+        sqliteDb.run(sqliteQuery, params, function (err) {
+          if (err) reject(err);
+          else
+            resolve({
+              rows: [],
+              rowCount: this.changes,
+              insertId: this.lastID,
+            });
+        });
+      }
+    });
+  };
+
+  // SQLite has a single connection, so transactions are queued one after
+  // another to avoid nesting BEGIN statements
+  let transactionQueue = Promise.resolve();
+
   db = {
     pool: sqliteDb,
     type: "sqlite",
-    query: (text, params = []) => {
-      return new Promise((resolve, reject) => {
-        // Convert PostgreSQL-style $1, $2 to SQLite-style ?, ?
-        const sqliteQuery = text.replace(/\$(\d+)/g, "?");
-
-        if (
-          text.trim().toUpperCase().startsWith("SELECT") ||
-          text.trim().toUpperCase().startsWith("WITH")
-        ) {
-          sqliteDb.all(sqliteQuery, params, (err, rows) => {
-            if (err) reject(err);
-            else resolve({ rows });
-          });
-        } else {
-          sqliteDb.run(sqliteQuery, params, function (err) {
-            if (err) reject(err);
-            else
-              resolve({
-                rows: [],
-                rowCount: this.changes,
-                insertId: this.lastID,
-              });
-          });
+    query,
+    transaction: (callback) => {
+      const run = async () => {
+        await query("BEGIN");
+        try {
+          const result = await callback({ type: "sqlite", query });
+          await query("COMMIT");
+          return result;
+        } catch (error) {
+          await query("ROLLBACK");
+          throw error;
         }
-      });
+      };
+
+      const result = transactionQueue.then(run, run);
+      transactionQueue = result.catch(() => {});
+      return result;
     },
   };
 }
@@ -1,5 +1,154 @@
 const db = require("./database");
 const bcrypt = require("bcryptjs");
+const { searchVector } = require("../utils/search");
+const { COUNTRIES, resolveCountry } = require("../utils/countries");
+const {
+  DEFAULT_EVENT_TYPES,
+  loadEventTypes,
+  resolveEventType,
+} = require("../utils/eventTypes");
+const { CASUALTY_FIELDS } = require("../utils/casualties");
+
+// Add a column to an existing table. PostgreSQL supports IF NOT EXISTS
+// directly; SQLite needs the table definition checked first.
+async function addColumnIfMissing(table, column, definition) {
+  if (db.type === "postgresql") {
+    await db.query(
+      `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`
+    );
+    return;
+  }
+
+  const result = await db.query(
+    `SELECT name FROM pragma_table_info('${table}') WHERE name = $1`,
+    [column]
+  );
+  if (result.rows.length === 0) {
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Load the bundled country reference, refreshing rows that already exist
+async function seedCountries() {
+  await db.transaction(async (client) => {
+    for (const country of COUNTRIES) {
+      await client.query(
+        `
+        INSERT INTO countries (code, iso2, name, region, subregion, aliases)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (code) DO UPDATE SET
+          iso2 = excluded.iso2,
+          name = excluded.name,
+          region = excluded.region,
+          subregion = excluded.subregion,
+          aliases = excluded.aliases
+      `,
+        [
+          country.code,
+          country.iso2,
+          country.name,
+          country.region,
+          country.subregion,
+          JSON.stringify(country.aliases),
+        ]
+      );
+    }
+  });
+}
+
+// Give events stored before country codes existed (or with a country that
+// was not recognised at the time) a code where their country now resolves
+async function backfillCountryCodes() {
+  const result = await db.query(
+    "SELECT DISTINCT country FROM events WHERE country_code IS NULL"
+  );
+
+  for (const { country } of result.rows) {
+    const match = resolveCountry(country);
+    if (match) {
+      await db.query(
+        "UPDATE events SET country_code = $1 WHERE country_code IS NULL AND country = $2",
+        [match.code, country]
+      );
+    }
+  }
+}
+
+// Seed the default taxonomy into an empty event_types table, then register
+// any type already used by events so existing data stays valid
+async function seedEventTypes() {
+  await db.transaction(async (client) => {
+    const existing = await client.query(
+      "SELECT COUNT(*) as count FROM event_types"
+    );
+    if (Number(existing.rows[0].count) === 0) {
+      for (const type of DEFAULT_EVENT_TYPES) {
+        await client.query(
+          `
+          INSERT INTO event_types (name, parent_id, description)
+          VALUES ($1, (SELECT id FROM event_types WHERE name = $2), $3)
+        `,
+          [type.name, type.parent || null, type.description]
+        );
+      }
+    }
+
+    const types = await loadEventTypes(client);
+    const used = await client.query("SELECT DISTINCT event_type FROM events");
+    for (const { event_type } of used.rows) {
+      if (!resolveEventType(types, event_type)) {
+        await client.query("INSERT INTO event_types (name) VALUES ($1)", [
+          event_type,
+        ]);
+        types.set(event_type.trim().toLowerCase(), event_type);
+      }
+    }
+  });
+}
+
+// Databases created before the editor role only allow user and admin.
+// PostgreSQL swaps the CHECK constraint; SQLite cannot alter one, so the
+// users table is rebuilt with foreign keys switched off while it is replaced.
+async function allowEditorRole() {
+  if (db.type === "postgresql") {
+    await db.query(
+      "ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check"
+    );
+    await db.query(
+      "ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'editor', 'admin'))"
+    );
+    return;
+  }
+
+  const result = await db.query(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'users'"
+  );
+  if (result.rows[0].sql.includes("'editor'")) return;
+
+  await db.query("PRAGMA foreign_keys = OFF");
+  try {
+    await db.transaction(async (client) => {
+      await client.query(`
+        CREATE TABLE users_with_editor (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL,
+          role TEXT DEFAULT 'user' CHECK (role IN ('user', 'editor', 'admin')),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        INSERT INTO users_with_editor (id, username, password_hash, role, created_at, updated_at)
+        SELECT id, username, password_hash, role, created_at, updated_at FROM users
+      `);
+      await client.query("DROP TABLE users");
+      await client.query("ALTER TABLE users_with_editor RENAME TO users");
+    });
+  } finally {
+    await db.query("PRAGMA foreign_keys = ON");
+  }
+}
 
 async function initializeDatabase() {
   try {
@@ -12,7 +161,7 @@ async function initializeDatabase() {
         id SERIAL PRIMARY KEY,
         username VARCHAR(255) UNIQUE NOT NULL,
         password_hash VARCHAR(255) NOT NULL,
-        role VARCHAR(50) DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+        role VARCHAR(50) DEFAULT 'user' CHECK (role IN ('user', 'editor', 'admin')),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
@@ -22,13 +171,14 @@ async function initializeDatabase() {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         username TEXT UNIQUE NOT NULL,
         password_hash TEXT NOT NULL,
-        role TEXT DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+        role TEXT DEFAULT 'user' CHECK (role IN ('user', 'editor', 'admin')),
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `;
 
     await db.query(createUsersTable);
+    await allowEditorRole();
 
     // Create events table
     const createEventsTable = isPostgreSQL
@@ -84,6 +234,481 @@ async function initializeDatabase() {
       );
     }
 
+    // Columns added after the original events schema. They are applied with
+    // ALTER TABLE so existing databases are upgraded on start.
+    await addColumnIfMissing(
+      "events",
+      "deleted_at",
+      isPostgreSQL ? "TIMESTAMP" : "DATETIME"
+    );
+    await addColumnIfMissing(
+      "events",
+      "deleted_by",
+      "INTEGER REFERENCES users(id)"
+    );
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_events_deleted_at ON events(deleted_at)`
+    );
+    await addColumnIfMissing(
+      "events",
+      "latitude",
+      isPostgreSQL ? "DOUBLE PRECISION" : "REAL"
+    );
+    await addColumnIfMissing(
+      "events",
+      "longitude",
+      isPostgreSQL ? "DOUBLE PRECISION" : "REAL"
+    );
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_events_location ON events(latitude, longitude)`
+    );
+
+    // Full-text search over description, country and event type. PostgreSQL
+    // uses a GIN expression index; SQLite keeps an external-content FTS5
+    // table in sync through triggers.
+    if (isPostgreSQL) {
+      await db.query(
+        `CREATE INDEX IF NOT EXISTS idx_events_search ON events USING GIN(${searchVector()})`
+      );
+    } else {
+      const ftsTable = await db.query(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'events_fts'`
+      );
+
+      await db.query(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
+          description, country, event_type,
+          content='events', content_rowid='id', tokenize='porter unicode61'
+        )
+      `);
+      await db.query(`
+        CREATE TRIGGER IF NOT EXISTS events_fts_insert AFTER INSERT ON events BEGIN
+          INSERT INTO events_fts(rowid, description, country, event_type)
+          VALUES (new.id, new.description, new.country, new.event_type);
+        END
+      `);
+      await db.query(`
+        CREATE TRIGGER IF NOT EXISTS events_fts_delete AFTER DELETE ON events BEGIN
+          INSERT INTO events_fts(events_fts, rowid, description, country, event_type)
+          VALUES ('delete', old.id, old.description, old.country, old.event_type);
+        END
+      `);
+      await db.query(`
+        CREATE TRIGGER IF NOT EXISTS events_fts_update
+        AFTER UPDATE OF description, country, event_type ON events BEGIN
+          INSERT INTO events_fts(events_fts, rowid, description, country, event_type)
+          VALUES ('delete', old.id, old.description, old.country, old.event_type);
+          INSERT INTO events_fts(rowid, description, country, event_type)
+          VALUES (new.id, new.description, new.country, new.event_type);
+        END
+      `);
+
+      // Index the events that existed before the search table
+      if (ftsTable.rows.length === 0) {
+        await db.query(`INSERT INTO events_fts(events_fts) VALUES ('rebuild')`);
+      }
+    }
+
+    // Create event revisions table (audit trail of every change to an event).
+    // event_id is deliberately not a foreign key so history outlives the event.
+    const createEventRevisionsTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS event_revisions (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL,
+        action VARCHAR(50) NOT NULL,
+        before_data JSONB,
+        after_data JSONB,
+        comment TEXT,
+        changed_by INTEGER REFERENCES users(id),
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS event_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        before_data TEXT,
+        after_data TEXT,
+        comment TEXT,
+        changed_by INTEGER REFERENCES users(id),
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    await db.query(createEventRevisionsTable);
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_event_revisions_event ON event_revisions(event_id)`
+    );
+
+    // Country reference (ISO 3166-1 codes and UN regions), see
+    // data/countries.json
+    const createCountriesTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS countries (
+        code VARCHAR(3) PRIMARY KEY,
+        iso2 VARCHAR(2) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        region VARCHAR(100),
+        subregion VARCHAR(100),
+        aliases JSONB
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS countries (
+        code TEXT PRIMARY KEY,
+        iso2 TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        region TEXT,
+        subregion TEXT,
+        aliases TEXT
+      )
+    `;
+
+    await db.query(createCountriesTable);
+    await seedCountries();
+
+    await addColumnIfMissing(
+      "events",
+      "country_code",
+      isPostgreSQL
+        ? "VARCHAR(3) REFERENCES countries(code)"
+        : "TEXT REFERENCES countries(code)"
+    );
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_events_country_code ON events(country_code)`
+    );
+
+    // Event-type taxonomy; parent_id makes a type a sub-type of another
+    const createEventTypesTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS event_types (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        parent_id INTEGER REFERENCES event_types(id),
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS event_types (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        parent_id INTEGER REFERENCES event_types(id),
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    await db.query(createEventTypesTable);
+    // Names are unique regardless of case
+    await db.query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_event_types_name ON event_types(LOWER(name))`
+    );
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_event_types_parent ON event_types(parent_id)`
+    );
+
+    // Actors registry: who took part in events, under any of their aliases
+    const createActorsTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS actors (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        type VARCHAR(50),
+        aliases JSONB,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS actors (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        type TEXT,
+        aliases TEXT,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    await db.query(createActorsTable);
+    await db.query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_actors_name ON actors(LOWER(name))`
+    );
+
+    // Links between events and actors; an actor can hold several roles
+    const createEventActorsTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS event_actors (
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        actor_id INTEGER NOT NULL REFERENCES actors(id),
+        role VARCHAR(20) NOT NULL CHECK (role IN ('actor1', 'actor2', 'target')),
+        PRIMARY KEY (event_id, actor_id, role)
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS event_actors (
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        actor_id INTEGER NOT NULL REFERENCES actors(id),
+        role TEXT NOT NULL CHECK (role IN ('actor1', 'actor2', 'target')),
+        PRIMARY KEY (event_id, actor_id, role)
+      )
+    `;
+
+    await db.query(createEventActorsTable);
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_event_actors_actor ON event_actors(actor_id)`
+    );
+
+    // Source citations of events, graded A (reliable) to F (cannot be judged)
+    const createEventSourcesTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS event_sources (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        url TEXT,
+        publication VARCHAR(255),
+        accessed_at DATE NOT NULL DEFAULT CURRENT_DATE,
+        reliability CHAR(1) NOT NULL CHECK (reliability IN ('A', 'B', 'C', 'D', 'E', 'F')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (url IS NOT NULL OR publication IS NOT NULL)
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS event_sources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        url TEXT,
+        publication TEXT,
+        accessed_at DATE NOT NULL DEFAULT CURRENT_DATE,
+        reliability TEXT NOT NULL CHECK (reliability IN ('A', 'B', 'C', 'D', 'E', 'F')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK (url IS NOT NULL OR publication IS NOT NULL)
+      )
+    `;
+
+    await db.query(createEventSourcesTable);
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_event_sources_event ON event_sources(event_id)`
+    );
+
+    // A duplicate merged into another event is trashed and points at it
+    await addColumnIfMissing(
+      "events",
+      "merged_into_id",
+      "INTEGER REFERENCES events(id)"
+    );
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_events_merged_into ON events(merged_into_id)`
+    );
+
+    // Candidate pairs reviewed as not being duplicates, lower event id first
+    const createDuplicateDismissalsTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        other_event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        dismissed_by INTEGER REFERENCES users(id),
+        dismissed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (event_id, other_event_id),
+        CHECK (event_id < other_event_id)
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        other_event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        dismissed_by INTEGER REFERENCES users(id),
+        dismissed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (event_id, other_event_id),
+        CHECK (event_id < other_event_id)
+      )
+    `;
+
+    await db.query(createDuplicateDismissalsTable);
+
+    // Editorial workflow. Events stored before it existed were public, so
+    // they start out published.
+    await addColumnIfMissing(
+      "events",
+      "status",
+      `${
+        isPostgreSQL ? "VARCHAR(20)" : "TEXT"
+      } NOT NULL DEFAULT 'published' CHECK (status IN ('draft', 'submitted', 'verified', 'published', 'rejected'))`
+    );
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_events_status ON events(status)`
+    );
+
+    const createEventReviewsTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS event_reviews (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL CHECK (action IN ('submit', 'approve', 'reject')),
+        from_status VARCHAR(20) NOT NULL,
+        to_status VARCHAR(20) NOT NULL,
+        comment TEXT,
+        reviewed_by INTEGER REFERENCES users(id),
+        reviewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS event_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        action TEXT NOT NULL CHECK (action IN ('submit', 'approve', 'reject')),
+        from_status TEXT NOT NULL,
+        to_status TEXT NOT NULL,
+        comment TEXT,
+        reviewed_by INTEGER REFERENCES users(id),
+        reviewed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    await db.query(createEventReviewsTable);
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_event_reviews_event ON event_reviews(event_id)`
+    );
+
+    // Discussion threads; parent_id makes a comment a reply to another
+    const createEventCommentsTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS event_comments (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        parent_id INTEGER REFERENCES event_comments(id) ON DELETE CASCADE,
+        author_id INTEGER REFERENCES users(id),
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        edited_at TIMESTAMP,
+        deleted_at TIMESTAMP,
+        deleted_by INTEGER REFERENCES users(id)
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS event_comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        parent_id INTEGER REFERENCES event_comments(id) ON DELETE CASCADE,
+        author_id INTEGER REFERENCES users(id),
+        body TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        edited_at DATETIME,
+        deleted_at DATETIME,
+        deleted_by INTEGER REFERENCES users(id)
+      )
+    `;
+
+    await db.query(createEventCommentsTable);
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_event_comments_event ON event_comments(event_id)`
+    );
+
+    const createCommentMentionsTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS comment_mentions (
+        comment_id INTEGER NOT NULL REFERENCES event_comments(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        PRIMARY KEY (comment_id, user_id)
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS comment_mentions (
+        comment_id INTEGER NOT NULL REFERENCES event_comments(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        PRIMARY KEY (comment_id, user_id)
+      )
+    `;
+
+    await db.query(createCommentMentionsTable);
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_comment_mentions_user ON comment_mentions(user_id)`
+    );
+
+    // Free-form labels; names are stored normalised (see utils/tags.js)
+    const createTagsTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        description TEXT,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        created_by INTEGER REFERENCES users(id),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    await db.query(createTagsTable);
+
+    const createEventTagsTable = isPostgreSQL
+      ? `
+      CREATE TABLE IF NOT EXISTS event_tags (
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        tagged_by INTEGER REFERENCES users(id),
+        tagged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (event_id, tag_id)
+      )
+    `
+      : `
+      CREATE TABLE IF NOT EXISTS event_tags (
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        tagged_by INTEGER REFERENCES users(id),
+        tagged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (event_id, tag_id)
+      )
+    `;
+
+    await db.query(createEventTagsTable);
+    await db.query(
+      `CREATE INDEX IF NOT EXISTS idx_event_tags_tag ON event_tags(tag_id)`
+    );
+
+    // Casualty breakdown; fatalities stays the best estimate. Null means the
+    // figure is not known.
+    for (const column of CASUALTY_FIELDS) {
+      await addColumnIfMissing("events", column, "INTEGER");
+    }
+
+    // Uncertain timing: an event may span date to date_end, and
+    // date_precision records how precisely its source dated it
+    await addColumnIfMissing("events", "date_end", "DATE");
+    await addColumnIfMissing(
+      "events",
+      "date_precision",
+      `${
+        isPostgreSQL ? "VARCHAR(10)" : "TEXT"
+      } NOT NULL DEFAULT 'day' CHECK (date_precision IN ('day', 'week', 'month', 'year'))`
+    );
+
+    // Events imported from an external dataset remember which one, their id
+    // and their type there, so exports in that layout write them back
+    await addColumnIfMissing(
+      "events",
+      "external_source",
+      isPostgreSQL ? "VARCHAR(20)" : "TEXT"
+    );
+    await addColumnIfMissing("events", "external_id", "TEXT");
+    await addColumnIfMissing("events", "external_type", "TEXT");
+
     // Insert default admin user if not exists
     const adminPassword = await bcrypt.hash(
       "admin123",
@@ -134,6 +759,31 @@ async function initializeDatabase() {
       );
     }
 
+    // Insert default editor user if not exists
+    const editorPassword = await bcrypt.hash(
+      "editor123",
+      parseInt(process.env.BCRYPT_ROUNDS) || 12
+    );
+
+    if (isPostgreSQL) {
+      await db.query(
+        `
+        INSERT INTO users (username, password_hash, role) 
+        VALUES ($1, $2, $3)
+        ON CONFLICT (username) DO NOTHING
+      `,
+        ["editor", editorPassword, "editor"]
+      );
+    } else {
+      await db.query(
+        `
+        INSERT OR IGNORE INTO users (username, password_hash, role) 
+        VALUES (?, ?, ?)
+      `,
+        ["editor", editorPassword, "editor"]
+      );
+    }
+
     // Insert sample events data
     const sampleEvents = [
       {
@@ -218,6 +868,9 @@ async function initializeDatabase() {
       }
     }
 
+    await backfillCountryCodes();
+    await seedEventTypes();
+
     if (process.env.NODE_ENV !== "production") {
       console.log(
         `Database initialized successfully using ${db.type.toUpperCase()}`
@@ -225,6 +878,7 @@ async function initializeDatabase() {
       console.log("Default users created:");
       console.log("  Admin: username=admin, password=admin123");
       console.log("  User: username=user, password=user123");
+      console.log("  Editor: username=editor, password=editor123");
     }
   } catch (error) {
     console.error("Database initialization error:", error);
@@ -50,7 +50,7 @@ const options = {
             },
             role: {
               type: "string",
-              enum: ["user", "admin"],
+              enum: ["user", "editor", "admin"],
               description: "User role",
             },
           },
@@ -77,24 +77,72 @@ const options = {
             },
             event_type: {
               type: "string",
-              enum: [
-                "Armed Conflict",
-                "Civil Unrest",
-                "Terrorism",
-                "Border Dispute",
-                "Other",
-              ],
-              description: "Type of conflict event",
+              maxLength: 255,
+              description:
+                "Type of conflict event, one of the types listed by GET /api/event-types",
             },
             fatalities: {
               type: "integer",
               minimum: 0,
-              description: "Number of fatalities",
+              description: "Number of fatalities (best estimate)",
+            },
+            fatalities_low: {
+              type: "integer",
+              minimum: 0,
+              nullable: true,
+              description:
+                "Low estimate of fatalities, at most the best estimate",
+            },
+            fatalities_high: {
+              type: "integer",
+              minimum: 0,
+              nullable: true,
+              description:
+                "High estimate of fatalities, at least the best estimate",
+            },
+            fatalities_civilian: {
+              type: "integer",
+              minimum: 0,
+              nullable: true,
+              description: "Civilians among the fatalities",
+            },
+            fatalities_combatant: {
+              type: "integer",
+              minimum: 0,
+              nullable: true,
+              description: "Combatants among the fatalities",
+            },
+            fatalities_unknown: {
+              type: "integer",
+              minimum: 0,
+              nullable: true,
+              description: "Fatalities of unknown status",
+            },
+            injured: {
+              type: "integer",
+              minimum: 0,
+              nullable: true,
+              description: "Number of injured",
             },
             date: {
               type: "string",
               format: "date",
-              description: "Date of the event (YYYY-MM-DD)",
+              description:
+                "Date of the event (YYYY-MM-DD), the first day of its span",
+            },
+            date_end: {
+              type: "string",
+              format: "date",
+              nullable: true,
+              description:
+                "Last day the event may have happened on, null for a single day",
+            },
+            date_precision: {
+              type: "string",
+              enum: ["day", "week", "month", "year"],
+              default: "day",
+              description:
+                "How precisely the source dated the event; coarser precisions span the whole week, month or year when date_end is not given",
             },
             description: {
               type: "string",
@@ -119,9 +167,22 @@ const options = {
               enum: ["low", "medium", "high", "critical"],
               description: "Event severity level",
             },
-            source: {
-              type: "string",
-              description: "Source of the information",
+            sources: {
+              type: "array",
+              items: {
+                $ref: "#/components/schemas/EventSource",
+              },
+              description:
+                "Source citations, returned with include=sources and replaced as a whole on update",
+            },
+            tags: {
+              type: "array",
+              items: {
+                type: "string",
+                pattern: "^[a-z0-9]+(-[a-z0-9]+)*$",
+                maxLength: 50,
+              },
+              description: "Tag names, returned with include=tags",
             },
             created_by: {
               type: "integer",
@@ -134,6 +195,35 @@ const options = {
             },
           },
         },
+        EventSource: {
+          type: "object",
+          required: ["reliability"],
+          properties: {
+            url: {
+              type: "string",
+              format: "uri",
+              maxLength: 2048,
+              description:
+                "Link to the source; a url or a publication is required",
+            },
+            publication: {
+              type: "string",
+              maxLength: 255,
+              description: "Name of the publication or organisation",
+            },
+            accessed_at: {
+              type: "string",
+              format: "date",
+              description: "When the source was accessed, defaults to today",
+            },
+            reliability: {
+              type: "string",
+              enum: ["A", "B", "C", "D", "E", "F"],
+              description:
+                "Reliability grade, from A (completely reliable) to E (unreliable); F when it cannot be judged",
+            },
+          },
+        },
         LoginRequest: {
           type: "object",
           required: ["username", "password"],
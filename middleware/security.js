@@ -3,6 +3,8 @@ const helmet = require("helmet");
 const cors = require("cors");
 const compression = require("compression");
 const { body, validationResult } = require("express-validator");
+const { CASUALTY_FIELDS } = require("../utils/casualties");
+const { DATE_PRECISIONS } = require("../utils/eventDates");
 
 // Enhanced Rate Limiting with Redis support
 const createRateLimiter = (options = {}) => {
@@ -62,8 +64,9 @@ const corsOptions = {
   },
   credentials: true,
   optionsSuccessStatus: 200,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  exposedHeaders: ["Link", "X-Total-Count"],
 };
 
 // Input Validation Middleware
@@ -106,21 +109,34 @@ const validationRules = {
       .isLength({ min: 2, max: 100 })
       .withMessage("Country name must be between 2 and 100 characters")
       .escape(),
+    // The allowed types live in the event_types table and are checked
+    // against it when the event is validated
     body("event_type")
-      .isIn([
-        "Armed Conflict",
-        "Civil Unrest",
-        "Terrorism",
-        "Border Dispute",
-        "Other",
-      ])
-      .withMessage("Invalid event type"),
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage("Event type must be between 1 and 255 characters"),
     body("fatalities")
       .isInt({ min: 0, max: 1000000 })
       .withMessage("Fatalities must be a non-negative integer"),
+    ...CASUALTY_FIELDS.map((field) =>
+      body(field)
+        .optional({ values: "null" })
+        .isInt({ min: 0, max: 1000000 })
+        .withMessage(`${field} must be a non-negative integer`)
+    ),
     body("date")
       .isISO8601()
       .withMessage("Date must be in ISO format (YYYY-MM-DD)"),
+    body("date_end")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("date_end must be in ISO format (YYYY-MM-DD)"),
+    body("date_precision")
+      .optional()
+      .isIn(DATE_PRECISIONS)
+      .withMessage(
+        `date_precision must be one of ${DATE_PRECISIONS.join(", ")}`
+      ),
     body("description")
       .isLength({ min: 10, max: 1000 })
       .withMessage("Description must be between 10 and 1000 characters")
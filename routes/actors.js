@@ -0,0 +1,521 @@
+const express = require("express");
+const db = require("../config/database");
+const { authenticateToken, requireRole } = require("../middleware/auth");
+const { parseId } = require("../utils/params");
+const {
+  checkName,
+  checkDescription,
+  validatePayload,
+  eventCountExpression,
+} = require("../utils/registries");
+const { buildEventFilters, whereClause } = require("../utils/eventQuery");
+const {
+  ACTOR_TYPES,
+  actorKey,
+  formatActor,
+  loadActorIndex,
+} = require("../utils/actors");
+
+const router = express.Router();
+
+const DEFAULT_TOP_N = 10;
+const MAX_TOP_N = 100;
+
+// Events linked to each actor, whatever the role
+const ACTOR_EVENTS =
+  "e.id IN (SELECT ea.event_id FROM event_actors ea WHERE ea.actor_id = a.id)";
+
+// The actor with the number of its events `user` can see
+async function findActor(client, id, user) {
+  const params = [id];
+  const eventCount = eventCountExpression(ACTOR_EVENTS, user, params);
+  const result = await client.query(
+    `SELECT a.*, ${eventCount} FROM actors a WHERE a.id = $1`,
+    params
+  );
+  return result.rows[0] ? formatActor(result.rows[0]) : null;
+}
+
+// Checks for the fields of a create or update body
+const ACTOR_CHECKS = {
+  name: checkName,
+  type: (value) => {
+    if (value !== null && !ACTOR_TYPES.includes(value)) {
+      return { error: `type must be one of: ${ACTOR_TYPES.join(", ")}` };
+    }
+    return { value };
+  },
+  aliases: (value) => {
+    if (
+      !Array.isArray(value) ||
+      value.some((alias) => typeof alias !== "string" || !alias.trim())
+    ) {
+      return { error: "aliases must be an array of names" };
+    }
+    return { value: [...new Set(value.map((alias) => alias.trim()))] };
+  },
+  description: checkDescription,
+};
+
+// The first of `names` already used as a name or alias by another actor
+async function findNameClash(client, names, exceptId = null) {
+  const index = await loadActorIndex(client);
+  return (
+    names.find((name) => {
+      const actor = index.get(actorKey(name));
+      return actor && actor.id !== exceptId;
+    }) || null
+  );
+}
+
+// Store aliases as JSON text; PostgreSQL casts it into the JSONB column
+function toColumnValue(field, value) {
+  return field === "aliases" ? JSON.stringify(value) : value;
+}
+
+// GET /api/actors - List actors, optionally by type or a name search
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, type, search } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    if (!(pageNumber > 0) || !(pageSize > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "page and limit must be positive integers",
+      });
+    }
+    if (type !== undefined && !ACTOR_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${ACTOR_TYPES.join(", ")}`,
+      });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (type !== undefined) {
+      params.push(type);
+      conditions.push(`a.type = $${params.length}`);
+    }
+    if (search) {
+      // Aliases are matched within their stored JSON text
+      params.push(`%${search}%`);
+      conditions.push(
+        `(LOWER(a.name) LIKE LOWER($${params.length}) OR LOWER(CAST(a.aliases AS TEXT)) LIKE LOWER($${params.length}))`
+      );
+    }
+
+    const listParams = [...params];
+    const eventCount = eventCountExpression(ACTOR_EVENTS, req.user, listParams);
+    const result = await db.query(
+      `
+      SELECT a.*, ${eventCount}
+      FROM actors a
+      ${whereClause(conditions)}
+      ORDER BY a.name
+      LIMIT $${listParams.length + 1} OFFSET $${listParams.length + 2}
+    `,
+      [...listParams, pageSize, (pageNumber - 1) * pageSize]
+    );
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total FROM actors a ${whereClause(conditions)}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      success: true,
+      data: {
+        actors: result.rows.map(formatActor),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get actors error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// GET /api/actors/:id/stats - Activity of one actor. The events list filters
+// narrow which of its events are counted.
+router.get("/:id/stats", authenticateToken, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid actor ID",
+      });
+    }
+
+    const { top_n = String(DEFAULT_TOP_N) } = req.query;
+    const topN = /^\d+$/.test(top_n) ? parseInt(top_n) : NaN;
+    if (!(topN >= 1 && topN <= MAX_TOP_N)) {
+      return res.status(400).json({
+        success: false,
+        message: `top_n must be an integer between 1 and ${MAX_TOP_N}`,
+      });
+    }
+
+    const actor = await findActor(db, id, req.user);
+    if (!actor) {
+      return res.status(404).json({
+        success: false,
+        message: "Actor not found",
+      });
+    }
+
+    const filters = buildEventFilters(
+      { ...req.query, actor: String(id) },
+      req.user
+    );
+    if (filters.error) {
+      return res.status(filters.status).json({
+        success: false,
+        message: filters.error,
+      });
+    }
+    const { joins, conditions, params } = filters;
+    const from = `
+      FROM events e
+      ${joins.join(" ")}
+      ${whereClause(conditions)}
+    `;
+    const actorParam = `$${params.length + 1}`;
+    const limitParam = `$${params.length + 2}`;
+
+    const overallResult = await db.query(
+      `
+      SELECT
+        COUNT(*) as total_events,
+        SUM(e.fatalities) as total_fatalities,
+        CAST(MIN(e.date) AS TEXT) as first_date,
+        CAST(MAX(e.date) AS TEXT) as last_date
+      ${from}
+    `,
+      params
+    );
+
+    const roleResult = await db.query(
+      `
+      SELECT
+        ea.role,
+        COUNT(*) as event_count,
+        SUM(e.fatalities) as total_fatalities
+      FROM events e
+      JOIN event_actors ea ON ea.event_id = e.id AND ea.actor_id = ${actorParam}
+      ${joins.join(" ")}
+      ${whereClause(conditions)}
+      GROUP BY ea.role
+      ORDER BY ea.role
+    `,
+      [...params, id]
+    );
+
+    const countryResult = await db.query(
+      `
+      SELECT
+        e.country,
+        e.country_code,
+        COUNT(*) as event_count,
+        SUM(e.fatalities) as total_fatalities
+      ${from}
+      GROUP BY e.country, e.country_code
+      ORDER BY event_count DESC, e.country
+      LIMIT $${params.length + 1}
+    `,
+      [...params, topN]
+    );
+
+    const typeResult = await db.query(
+      `
+      SELECT
+        e.event_type,
+        COUNT(*) as event_count,
+        SUM(e.fatalities) as total_fatalities
+      ${from}
+      GROUP BY e.event_type
+      ORDER BY event_count DESC, e.event_type
+    `,
+      params
+    );
+
+    // Other actors in the same events
+    const counterpartResult = await db.query(
+      `
+      SELECT
+        a.id as actor_id,
+        a.name,
+        a.type,
+        COUNT(DISTINCT e.id) as event_count
+      FROM events e
+      JOIN event_actors other ON other.event_id = e.id
+      JOIN actors a ON a.id = other.actor_id
+      ${joins.join(" ")}
+      ${whereClause([...conditions, `other.actor_id <> ${actorParam}`])}
+      GROUP BY a.id, a.name, a.type
+      ORDER BY event_count DESC, a.name
+      LIMIT ${limitParam}
+    `,
+      [...params, id, topN]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        actor,
+        overall: overallResult.rows[0],
+        by_role: roleResult.rows,
+        by_country: countryResult.rows,
+        by_type: typeResult.rows,
+        counterparts: counterpartResult.rows,
+      },
+    });
+  } catch (error) {
+    console.error("Get actor stats error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// GET /api/actors/:id - Get a single actor
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid actor ID",
+      });
+    }
+
+    const actor = await findActor(db, id, req.user);
+    if (!actor) {
+      return res.status(404).json({
+        success: false,
+        message: "Actor not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { actor },
+    });
+  } catch (error) {
+    console.error("Get actor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// POST /api/actors - Register an actor (admin only)
+router.post("/", authenticateToken, requireRole("admin"), async (req, res) => {
+  try {
+    const { values, error } = validatePayload(req.body, ACTOR_CHECKS);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const outcome = await db.transaction(async (client) => {
+      const clash = await findNameClash(client, [
+        values.name,
+        ...(values.aliases || []),
+      ]);
+      if (clash) {
+        return { error: `${clash} is already used by another actor` };
+      }
+
+      const row = { aliases: [], ...values };
+      const fields = Object.keys(row);
+      await client.query(
+        `INSERT INTO actors (${fields.join(", ")}) VALUES (${fields
+          .map((field, index) => `$${index + 1}`)
+          .join(", ")})`,
+        fields.map((field) => toColumnValue(field, row[field]))
+      );
+      const created = await client.query(
+        "SELECT id FROM actors WHERE name = $1",
+        [values.name]
+      );
+      return { actor: await findActor(client, created.rows[0].id, req.user) };
+    });
+
+    if (outcome.error) {
+      return res.status(409).json({
+        success: false,
+        message: outcome.error,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Actor created successfully",
+      data: { actor: outcome.actor },
+    });
+  } catch (error) {
+    console.error("Create actor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// PATCH /api/actors/:id - Update an actor's name, type, aliases or
+// description (admin only)
+router.patch(
+  "/:id",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid actor ID",
+        });
+      }
+
+      const { values, error } = validatePayload(req.body, ACTOR_CHECKS, {
+        partial: true,
+      });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const outcome = await db.transaction(async (client) => {
+        if (!(await findActor(client, id, req.user))) {
+          return { status: 404, message: "Actor not found" };
+        }
+
+        const clash = await findNameClash(
+          client,
+          [values.name, ...(values.aliases || [])].filter(Boolean),
+          id
+        );
+        if (clash) {
+          return {
+            status: 409,
+            message: `${clash} is already used by another actor`,
+          };
+        }
+
+        const fields = Object.keys(values);
+        const params = fields.map((field) =>
+          toColumnValue(field, values[field])
+        );
+        const assignments = fields.map(
+          (field, index) => `${field} = $${index + 1}`
+        );
+        assignments.push("updated_at = CURRENT_TIMESTAMP");
+        params.push(id);
+        await client.query(
+          `UPDATE actors SET ${assignments.join(", ")} WHERE id = $${
+            params.length
+          }`,
+          params
+        );
+
+        return { actor: await findActor(client, id, req.user) };
+      });
+
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Actor updated successfully",
+        data: { actor: outcome.actor },
+      });
+    } catch (error) {
+      console.error("Update actor error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// DELETE /api/actors/:id - Delete an actor no event refers to (admin only)
+router.delete(
+  "/:id",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid actor ID",
+        });
+      }
+
+      const outcome = await db.transaction(async (client) => {
+        if (!(await findActor(client, id, req.user))) {
+          return { status: 404, message: "Actor not found" };
+        }
+
+        // Links from deleted events count too, so a restore cannot lose them
+        const links = await client.query(
+          "SELECT COUNT(*) as count FROM event_actors WHERE actor_id = $1",
+          [id]
+        );
+        if (Number(links.rows[0].count) > 0) {
+          return {
+            status: 409,
+            message: "Actor is linked to events and cannot be deleted",
+          };
+        }
+
+        await client.query("DELETE FROM actors WHERE id = $1", [id]);
+        return {};
+      });
+
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Actor deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete actor error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require("express");
+const db = require("../config/database");
+const { authenticateToken } = require("../middleware/auth");
+const { buildEventFilters, whereClause } = require("../utils/eventQuery");
+const {
+  isDay,
+  bucketExpression,
+  bucketStart,
+  previousBucket,
+  bucketEnd,
+} = require("../utils/timeBuckets");
+const { detectEscalations } = require("../utils/escalation");
+
+const router = express.Router();
+
+const ESCALATION_INTERVALS = ["week", "month"];
+const ESCALATION_DEFAULTS = {
+  baseline_periods: 8,
+  z_threshold: 2,
+  pct_threshold: 50,
+  min_events: 3,
+  limit: 20,
+};
+const MAX_BASELINE_PERIODS = 52;
+const MAX_ALERTS = 100;
+
+// Parse a numeric query parameter, returning null when it is out of range
+function parseNumberParam(value, fallback, { min, max, integer = false }) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (
+    value === "" ||
+    !Number.isFinite(number) ||
+    (integer && !Number.isInteger(number)) ||
+    number < min ||
+    number > max
+  ) {
+    return null;
+  }
+  return number;
+}
+
+// GET /api/analytics/escalation - Rank country/event type series whose
+// latest period stands out against the periods before it
+router.get("/escalation", authenticateToken, async (req, res) => {
+  try {
+    const { interval = "week", as_of = new Date().toISOString().slice(0, 10) } =
+      req.query;
+
+    if (!ESCALATION_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: "interval must be week or month",
+      });
+    }
+
+    if (!isDay(as_of)) {
+      return res.status(400).json({
+        success: false,
+        message: "as_of must be a date (YYYY-MM-DD)",
+      });
+    }
+
+    const options = {
+      baselinePeriods: parseNumberParam(
+        req.query.baseline_periods,
+        ESCALATION_DEFAULTS.baseline_periods,
+        { min: 2, max: MAX_BASELINE_PERIODS, integer: true }
+      ),
+      zThreshold: parseNumberParam(
+        req.query.z_threshold,
+        ESCALATION_DEFAULTS.z_threshold,
+        { min: 0.1, max: 100 }
+      ),
+      pctThreshold: parseNumberParam(
+        req.query.pct_threshold,
+        ESCALATION_DEFAULTS.pct_threshold,
+        { min: 1, max: 100000 }
+      ),
+      minEvents: parseNumberParam(
+        req.query.min_events,
+        ESCALATION_DEFAULTS.min_events,
+        { min: 1, max: 100000, integer: true }
+      ),
+      limit: parseNumberParam(req.query.limit, ESCALATION_DEFAULTS.limit, {
+        min: 1,
+        max: MAX_ALERTS,
+        integer: true,
+      }),
+    };
+    if (Object.values(options).includes(null)) {
+      return res.status(400).json({
+        success: false,
+        message: `baseline_periods must be an integer from 2 to ${MAX_BASELINE_PERIODS}, z_threshold and pct_threshold positive numbers, min_events a positive integer and limit at most ${MAX_ALERTS}`,
+      });
+    }
+
+    // The period under test is the latest one that has fully ended by as_of
+    let current = bucketStart(as_of, interval);
+    if (bucketEnd(current, interval) !== as_of) {
+      current = previousBucket(current, interval);
+    }
+    const baseline = [];
+    for (let i = 0, label = current; i < options.baselinePeriods; i++) {
+      label = previousBucket(label, interval);
+      baseline.unshift(label);
+    }
+
+    // Reuse the list filters, with the dates fixed to the analysed window
+    const filters = buildEventFilters(
+      {
+        ...req.query,
+        start_date: baseline[0],
+        end_date: bucketEnd(current, interval),
+      },
+      req.user
+    );
+    if (filters.error) {
+      return res.status(filters.status).json({
+        success: false,
+        message: filters.error,
+      });
+    }
+    const { joins, conditions, params } = filters;
+    const bucket = bucketExpression(db.type, interval, "e.date");
+
+    const result = await db.query(
+      `
+      SELECT
+        e.country,
+        e.event_type,
+        ${bucket} as bucket,
+        COUNT(*) as events,
+        COALESCE(SUM(e.fatalities), 0) as fatalities
+      FROM events e
+      ${joins.join(" ")}
+      ${whereClause(conditions)}
+      GROUP BY e.country, e.event_type, bucket
+    `,
+      params
+    );
+
+    const alerts = detectEscalations(result.rows, {
+      baseline,
+      current,
+      zThreshold: options.zThreshold,
+      pctThreshold: options.pctThreshold,
+      minEvents: options.minEvents,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        interval,
+        as_of,
+        period: { start: current, end: bucketEnd(current, interval) },
+        baseline: {
+          start: baseline[0],
+          end: bucketEnd(baseline[baseline.length - 1], interval),
+          periods: baseline.length,
+        },
+        thresholds: {
+          z_score: options.zThreshold,
+          pct_change: options.pctThreshold,
+          min_events: options.minEvents,
+        },
+        total_alerts: alerts.length,
+        alerts: alerts.slice(0, options.limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get escalation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
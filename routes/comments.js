@@ -0,0 +1,292 @@
+const express = require("express");
+const db = require("../config/database");
+const { authenticateToken } = require("../middleware/auth");
+const { parseId } = require("../utils/params");
+const { canViewEvent } = require("../utils/eventWorkflow");
+const {
+  parseCommentBody,
+  setCommentMentions,
+  loadComments,
+  findComment,
+  buildCommentThread,
+} = require("../utils/eventComments");
+
+// Mounted at /api/events/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// The event being discussed, or null when it does not exist, is in the
+// trash or is not visible to the user
+async function findDiscussedEvent(client, eventId, user) {
+  const result = await client.query(
+    "SELECT id, status, created_by, deleted_at FROM events WHERE id = $1",
+    [eventId]
+  );
+  const event = result.rows[0];
+  return event && !event.deleted_at && canViewEvent(user, event) ? event : null;
+}
+
+// Insert a comment and return its id. PostgreSQL hands the new id back
+// through RETURNING, SQLite as insertId.
+async function insertComment(client, values) {
+  const insertQuery = `
+    INSERT INTO event_comments (event_id, parent_id, author_id, body)
+    VALUES ($1, $2, $3, $4)
+  `;
+  const params = [
+    values.event_id,
+    values.parent_id,
+    values.author_id,
+    values.body,
+  ];
+
+  if (client.type === "postgresql") {
+    const result = await client.query(`${insertQuery} RETURNING id`, params);
+    return result.rows[0].id;
+  }
+  const result = await client.query(insertQuery, params);
+  return result.insertId;
+}
+
+// GET /api/events/:id/comments - Comment thread of an event, replies nested
+// under the comments they answer
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const eventId = parseId(req.params.id);
+    if (!eventId) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid event ID",
+      });
+    }
+
+    if (!(await findDiscussedEvent(db, eventId, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    const comments = await loadComments(db, "c.event_id = $1", [eventId]);
+
+    res.json({
+      success: true,
+      data: {
+        event_id: eventId,
+        comment_count: comments.filter((comment) => !comment.deleted_at).length,
+        comments: buildCommentThread(comments),
+      },
+    });
+  } catch (error) {
+    console.error("Get comments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// POST /api/events/:id/comments - Comment on an event, or reply to a comment
+// with parent_id
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const eventId = parseId(req.params.id);
+    if (!eventId) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid event ID",
+      });
+    }
+
+    const { body, error } = parseCommentBody(req.body && req.body.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const rawParentId = req.body.parent_id;
+    const parentId =
+      rawParentId === undefined || rawParentId === null
+        ? null
+        : parseId(rawParentId);
+    if (rawParentId !== undefined && rawParentId !== null && !parentId) {
+      return res.status(400).json({
+        success: false,
+        message: "parent_id must be a comment id",
+      });
+    }
+
+    const outcome = await db.transaction(async (client) => {
+      if (!(await findDiscussedEvent(client, eventId, req.user))) {
+        return { status: 404, message: "Event not found" };
+      }
+      if (parentId) {
+        const parent = await findComment(client, eventId, parentId);
+        if (!parent) {
+          return { status: 400, message: "Parent comment not found" };
+        }
+        if (parent.deleted_at) {
+          return {
+            status: 400,
+            message: "Cannot reply to a deleted comment",
+          };
+        }
+      }
+
+      const commentId = await insertComment(client, {
+        event_id: eventId,
+        parent_id: parentId,
+        author_id: req.user.id,
+        body,
+      });
+      await setCommentMentions(client, commentId, body);
+      return { comment: await findComment(client, eventId, commentId) };
+    });
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Comment added successfully",
+      data: { comment: outcome.comment },
+    });
+  } catch (error) {
+    console.error("Create comment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// PATCH /api/events/:id/comments/:commentId - Edit a comment (its author only)
+router.patch("/:commentId", authenticateToken, async (req, res) => {
+  try {
+    const eventId = parseId(req.params.id);
+    const commentId = parseId(req.params.commentId);
+    if (!eventId || !commentId) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid event or comment ID",
+      });
+    }
+
+    const { body, error } = parseCommentBody(req.body && req.body.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const outcome = await db.transaction(async (client) => {
+      const comment =
+        (await findDiscussedEvent(client, eventId, req.user)) &&
+        (await findComment(client, eventId, commentId));
+      if (!comment || comment.deleted_at) {
+        return { status: 404, message: "Comment not found" };
+      }
+      if (comment.author_id !== req.user.id) {
+        return {
+          status: 403,
+          message: "Only the author can edit a comment",
+        };
+      }
+
+      await client.query(
+        "UPDATE event_comments SET body = $1, edited_at = CURRENT_TIMESTAMP WHERE id = $2",
+        [body, commentId]
+      );
+      await setCommentMentions(client, commentId, body);
+      return { comment: await findComment(client, eventId, commentId) };
+    });
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Comment updated successfully",
+      data: { comment: outcome.comment },
+    });
+  } catch (error) {
+    console.error("Update comment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// DELETE /api/events/:id/comments/:commentId - Delete a comment (its author,
+// or an admin moderating the thread). Replies stay in place.
+router.delete("/:commentId", authenticateToken, async (req, res) => {
+  try {
+    const eventId = parseId(req.params.id);
+    const commentId = parseId(req.params.commentId);
+    if (!eventId || !commentId) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid event or comment ID",
+      });
+    }
+
+    const outcome = await db.transaction(async (client) => {
+      const comment =
+        (await findDiscussedEvent(client, eventId, req.user)) &&
+        (await findComment(client, eventId, commentId));
+      if (!comment || comment.deleted_at) {
+        return { status: 404, message: "Comment not found" };
+      }
+      if (comment.author_id !== req.user.id && req.user.role !== "admin") {
+        return {
+          status: 403,
+          message: "Only the author or an admin can delete a comment",
+        };
+      }
+
+      await client.query(
+        `
+        UPDATE event_comments
+        SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1
+        WHERE id = $2
+      `,
+        [req.user.id, commentId]
+      );
+      await client.query("DELETE FROM comment_mentions WHERE comment_id = $1", [
+        commentId,
+      ]);
+      return {};
+    });
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Comment deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete comment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,438 @@
+const express = require("express");
+const db = require("../config/database");
+const { authenticateToken, requireRole } = require("../middleware/auth");
+const { parseId } = require("../utils/params");
+const {
+  checkName,
+  checkDescription,
+  validatePayload,
+  findNameClash,
+  eventCountExpression,
+} = require("../utils/registries");
+const {
+  buildEventTypeTree,
+  descendantIds,
+  retypeEvents,
+} = require("../utils/eventTypes");
+
+const router = express.Router();
+
+// Every type with its parent's name and how many of the events `user` can
+// see use it
+async function listEventTypes(user, client = db) {
+  const params = [];
+  const eventCount = eventCountExpression(
+    "LOWER(e.event_type) = LOWER(t.name)",
+    user,
+    params
+  );
+  const result = await client.query(
+    `
+    SELECT t.*, p.name as parent_name, ${eventCount}
+    FROM event_types t
+    LEFT JOIN event_types p ON p.id = t.parent_id
+    ORDER BY t.name
+  `,
+    params
+  );
+  return result.rows;
+}
+
+async function findEventType(client, id) {
+  const result = await client.query("SELECT * FROM event_types WHERE id = $1", [
+    id,
+  ]);
+  return result.rows[0] || null;
+}
+
+// Checks for the fields of a create or update body
+const EVENT_TYPE_CHECKS = {
+  name: checkName,
+  parent_id: (value) => {
+    if (value !== null && !parseId(value)) {
+      return { error: "parent_id must be a type id or null" };
+    }
+    return { value: value === null ? null : Number(value) };
+  },
+  description: checkDescription,
+};
+
+// GET /api/event-types - List the taxonomy; tree=true nests sub-types
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { tree = "false" } = req.query;
+    if (!["true", "false"].includes(tree)) {
+      return res.status(400).json({
+        success: false,
+        message: "tree must be true or false",
+      });
+    }
+
+    const eventTypes = await listEventTypes(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        event_types:
+          tree === "true" ? buildEventTypeTree(eventTypes) : eventTypes,
+      },
+    });
+  } catch (error) {
+    console.error("Get event types error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// GET /api/event-types/:id - Get a type with its sub-types
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid event type ID",
+      });
+    }
+
+    const eventTypes = await listEventTypes(req.user);
+    const eventType = eventTypes.find((type) => type.id === id);
+    if (!eventType) {
+      return res.status(404).json({
+        success: false,
+        message: "Event type not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        event_type: {
+          ...eventType,
+          children: eventTypes.filter((type) => type.parent_id === id),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get event type error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// POST /api/event-types - Create a type or sub-type (admin only)
+router.post("/", authenticateToken, requireRole("admin"), async (req, res) => {
+  try {
+    const { values, error } = validatePayload(req.body, EVENT_TYPE_CHECKS);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const outcome = await db.transaction(async (client) => {
+      if (await findNameClash(client, "event_types", values.name)) {
+        return { status: 409, message: "An event type with this name exists" };
+      }
+      if (
+        values.parent_id &&
+        !(await findEventType(client, values.parent_id))
+      ) {
+        return { status: 400, message: "Parent event type not found" };
+      }
+
+      await client.query(
+        "INSERT INTO event_types (name, parent_id, description) VALUES ($1, $2, $3)",
+        [values.name, values.parent_id || null, values.description || null]
+      );
+      const created = await client.query(
+        "SELECT * FROM event_types WHERE name = $1",
+        [values.name]
+      );
+      return { eventType: created.rows[0] };
+    });
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Event type created successfully",
+      data: { event_type: outcome.eventType },
+    });
+  } catch (error) {
+    console.error("Create event type error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// PATCH /api/event-types/:id - Rename, re-parent or describe a type (admin
+// only). A rename is applied to every event of the type.
+router.patch(
+  "/:id",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid event type ID",
+        });
+      }
+
+      const { values, error } = validatePayload(req.body, EVENT_TYPE_CHECKS, {
+        partial: true,
+      });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const outcome = await db.transaction(async (client) => {
+        const current = await findEventType(client, id);
+        if (!current) {
+          return { status: 404, message: "Event type not found" };
+        }
+
+        if (
+          values.name &&
+          (await findNameClash(client, "event_types", values.name, id))
+        ) {
+          return {
+            status: 409,
+            message: "An event type with this name exists",
+          };
+        }
+
+        if (values.parent_id) {
+          const all = await client.query(
+            "SELECT id, parent_id FROM event_types"
+          );
+          if (!all.rows.some((row) => row.id === values.parent_id)) {
+            return { status: 400, message: "Parent event type not found" };
+          }
+          if (descendantIds(all.rows, id).has(values.parent_id)) {
+            return {
+              status: 400,
+              message: "An event type cannot be its own ancestor",
+            };
+          }
+        }
+
+        const fields = Object.keys(values);
+        const params = fields.map((field) => values[field]);
+        const assignments = fields.map(
+          (field, index) => `${field} = $${index + 1}`
+        );
+        assignments.push("updated_at = CURRENT_TIMESTAMP");
+        params.push(id);
+        await client.query(
+          `UPDATE event_types SET ${assignments.join(", ")} WHERE id = $${
+            params.length
+          }`,
+          params
+        );
+
+        let eventsUpdated = 0;
+        if (values.name && values.name !== current.name) {
+          eventsUpdated = await retypeEvents(client, {
+            from: current.name,
+            to: values.name,
+            userId: req.user.id,
+            comment: `Event type renamed from ${current.name}`,
+          });
+        }
+
+        return {
+          eventType: await findEventType(client, id),
+          eventsUpdated,
+        };
+      });
+
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Event type updated successfully",
+        data: {
+          event_type: outcome.eventType,
+          events_updated: outcome.eventsUpdated,
+        },
+      });
+    } catch (error) {
+      console.error("Update event type error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// POST /api/event-types/:id/merge - Fold a type into another (admin only).
+// Its events and sub-types move to the target and the type is deleted.
+router.post(
+  "/:id/merge",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      const intoId = parseId(req.body && req.body.into);
+      if (!id || !intoId) {
+        return res.status(400).json({
+          success: false,
+          message: !id ? "Invalid event type ID" : "into must be a type id",
+        });
+      }
+      if (id === intoId) {
+        return res.status(400).json({
+          success: false,
+          message: "An event type cannot be merged into itself",
+        });
+      }
+
+      const outcome = await db.transaction(async (client) => {
+        const source = await findEventType(client, id);
+        const target = await findEventType(client, intoId);
+        if (!source || !target) {
+          return { status: 404, message: "Event type not found" };
+        }
+
+        const all = await client.query("SELECT id, parent_id FROM event_types");
+        if (descendantIds(all.rows, id).has(intoId)) {
+          return {
+            status: 400,
+            message: "An event type cannot be merged into one of its sub-types",
+          };
+        }
+
+        const eventsUpdated = await retypeEvents(client, {
+          from: source.name,
+          to: target.name,
+          userId: req.user.id,
+          comment: `Event type ${source.name} merged into ${target.name}`,
+        });
+        await client.query(
+          "UPDATE event_types SET parent_id = $1, updated_at = CURRENT_TIMESTAMP WHERE parent_id = $2",
+          [intoId, id]
+        );
+        await client.query("DELETE FROM event_types WHERE id = $1", [id]);
+
+        return { target, eventsUpdated };
+      });
+
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Event types merged successfully",
+        data: {
+          event_type: outcome.target,
+          events_updated: outcome.eventsUpdated,
+        },
+      });
+    } catch (error) {
+      console.error("Merge event types error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// DELETE /api/event-types/:id - Delete an unused type (admin only)
+router.delete(
+  "/:id",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid event type ID",
+        });
+      }
+
+      const outcome = await db.transaction(async (client) => {
+        const eventType = await findEventType(client, id);
+        if (!eventType) {
+          return { status: 404, message: "Event type not found" };
+        }
+
+        // Deleted events count too, so restoring one cannot bring back an
+        // unknown type
+        const usage = await client.query(
+          `
+          SELECT
+            (SELECT CAST(COUNT(*) AS INTEGER) FROM events
+             WHERE LOWER(event_type) = LOWER($1)) as events,
+            (SELECT CAST(COUNT(*) AS INTEGER) FROM event_types
+             WHERE parent_id = $2) as children
+        `,
+          [eventType.name, id]
+        );
+        const { events, children } = usage.rows[0];
+        if (Number(events) > 0 || Number(children) > 0) {
+          return {
+            status: 409,
+            message:
+              "Event type is still in use; merge it into another type instead",
+          };
+        }
+
+        await client.query("DELETE FROM event_types WHERE id = $1", [id]);
+        return {};
+      });
+
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Event type deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete event type error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,107 +1,1358 @@
 const express = require("express");
+const { once } = require("events");
 const db = require("../config/database");
 const { authenticateToken, requireRole } = require("../middleware/auth");
+const { parseId } = require("../utils/params");
+const {
+  loadEventSnapshot,
+  recordRevision,
+  listRevisions,
+  findRevision,
+} = require("../utils/eventRevisions");
+const { buildEventFilters, whereClause } = require("../utils/eventQuery");
+const {
+  GEOJSON_MEDIA_TYPE,
+  wantsGeoJson,
+  toFeatureCollection,
+} = require("../utils/geojson");
+const {
+  INTERVALS,
+  MAX_BUCKETS,
+  isDay,
+  bucketExpression,
+  fillBuckets,
+} = require("../utils/timeBuckets");
+const {
+  DEFAULT_COLUMNS,
+  EVENT_INCLUDES,
+  buildProjection,
+} = require("../utils/eventFields");
+const {
+  CURSOR_SELECTS,
+  buildPageLinks,
+  buildCursorLinks,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  stripCursorColumns,
+} = require("../utils/pagination");
+const {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  exportFilename,
+} = require("../utils/eventExport");
+const {
+  maxImportRows,
+  readImportRows,
+  cleanImportRow,
+  checkCreateEventRules,
+  eventKey,
+  findExistingEventKeys,
+} = require("../utils/eventImport");
+const { FORMAT_ADAPTERS, getFormatAdapter } = require("../utils/formats");
+const { resolveCountry } = require("../utils/countries");
+const { loadEventTypes, resolveEventType } = require("../utils/eventTypes");
+const {
+  loadActorIndex,
+  parseActorLinks,
+  resolveActorLinks,
+  createActors,
+  setEventActors,
+} = require("../utils/actors");
+const { parseSourceList, setEventSources } = require("../utils/eventSources");
+const {
+  DEFAULT_WINDOW_DAYS,
+  MAX_WINDOW_DAYS,
+  DEFAULT_MIN_SCORE,
+  findDuplicateCandidates,
+  dismissDuplicatePair,
+  mergeEvents,
+} = require("../utils/duplicates");
+const {
+  WORKFLOW_ACTIONS,
+  initialStatus,
+  canViewEvent,
+  canEditEvent,
+  transitionEvent,
+  listReviews,
+} = require("../utils/eventWorkflow");
+const {
+  normalizeTagName,
+  parseTagNames,
+  findTagsByName,
+  resolveTagsToAdd,
+  tagEvents,
+  untagEvents,
+  loadEventTags,
+} = require("../utils/tags");
+const {
+  CASUALTY_FIELDS,
+  normalizeCasualties,
+  estimateOrderError,
+  parseMeasures,
+  measureSums,
+} = require("../utils/casualties");
+const {
+  DATE_BASES,
+  toDay,
+  normalizeDateFields,
+  applyDateSpan,
+} = require("../utils/eventDates");
 
 const router = express.Router();
 
+// Columns a client may set when creating or updating an event
+const EVENT_FIELDS = [
+  "country",
+  "event_type",
+  "fatalities",
+  ...CASUALTY_FIELDS,
+  "date",
+  "date_end",
+  "date_precision",
+  "description",
+  "latitude",
+  "longitude",
+];
+const REQUIRED_EVENT_FIELDS = ["country", "event_type", "date"];
+
+// Store recognised countries under their reference name and ISO code.
+// Anything else is kept as typed, without a code.
+function normalizeCountry(values) {
+  if (values.country === undefined) return;
+  const match = resolveCountry(values.country);
+  values.country = match ? match.name : String(values.country).trim();
+  values.country_code = match ? match.code : null;
+}
+
+// Validate an event payload and return normalised column values. With
+// `partial` set (PATCH) only the fields present in the body are checked.
+// `eventTypes` is the taxonomy from loadEventTypes; event_type must name one
+// of its types and is stored under the taxonomy's spelling. The `actors`
+// list is returned separately as unresolved links, and `sources` as
+// normalised citations.
+function validateEventPayload(body = {}, { partial = false, eventTypes } = {}) {
+  const values = {};
+
+  for (const field of EVENT_FIELDS) {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+  }
+
+  let actors;
+  if (body.actors !== undefined) {
+    const parsed = parseActorLinks(body.actors);
+    if (parsed.error) return { error: parsed.error };
+    actors = parsed.links;
+  } else if (!partial) {
+    actors = [];
+  }
+
+  let sources;
+  if (body.sources !== undefined) {
+    const parsed = parseSourceList(body.sources);
+    if (parsed.error) return { error: parsed.error };
+    sources = parsed.sources;
+  } else if (!partial) {
+    sources = [];
+  }
+
+  // Validate required fields
+  if (!partial) {
+    if (REQUIRED_EVENT_FIELDS.some((field) => !values[field])) {
+      return { error: "Country, event_type, and date are required" };
+    }
+  } else {
+    const emptyField = REQUIRED_EVENT_FIELDS.find(
+      (field) => field in values && !values[field]
+    );
+    if (emptyField) {
+      return { error: `${emptyField} cannot be empty` };
+    }
+    if (
+      Object.keys(values).length === 0 &&
+      actors === undefined &&
+      sources === undefined
+    ) {
+      return { error: "No updatable fields provided" };
+    }
+  }
+
+  if (values.event_type !== undefined) {
+    const eventType = resolveEventType(eventTypes, values.event_type);
+    if (!eventType) {
+      return { error: `Unknown event type: ${values.event_type}` };
+    }
+    values.event_type = eventType;
+  }
+
+  // Validate date format
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (values.date !== undefined && !dateRegex.test(values.date)) {
+    return { error: "Date must be in YYYY-MM-DD format" };
+  }
+  const dateError = normalizeDateFields(values);
+  if (dateError) return { error: dateError };
+
+  // Validate fatalities is a positive number
+  if (!partial || values.fatalities !== undefined) {
+    const fatalitiesNum = values.fatalities ? parseInt(values.fatalities) : 0;
+    if (isNaN(fatalitiesNum) || fatalitiesNum < 0) {
+      return { error: "Fatalities must be a non-negative number" };
+    }
+    values.fatalities = fatalitiesNum;
+  }
+  const casualtyError = normalizeCasualties(values);
+  if (casualtyError) return { error: casualtyError };
+
+  // Validate coordinates; they are optional but must be given as a pair
+  if (values.latitude !== undefined || values.longitude !== undefined) {
+    const hasLatitude =
+      values.latitude !== undefined && values.latitude !== null;
+    const hasLongitude =
+      values.longitude !== undefined && values.longitude !== null;
+    if (hasLatitude !== hasLongitude) {
+      return { error: "Latitude and longitude must be provided together" };
+    }
+
+    if (hasLatitude) {
+      const latitude = Number(values.latitude);
+      const longitude = Number(values.longitude);
+      if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        return { error: "Latitude must be between -90 and 90" };
+      }
+      if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        return { error: "Longitude must be between -180 and 180" };
+      }
+      values.latitude = latitude;
+      values.longitude = longitude;
+    } else {
+      values.latitude = null;
+      values.longitude = null;
+    }
+  }
+
+  // A full replacement clears any optional field that was left out
+  if (!partial) {
+    const spanError = applyDateSpan(values);
+    if (spanError) return { error: spanError };
+    for (const field of [
+      "date_end",
+      "description",
+      "latitude",
+      "longitude",
+      ...CASUALTY_FIELDS,
+    ]) {
+      if (values[field] === undefined) values[field] = null;
+    }
+    if (values.date_precision === undefined) values.date_precision = "day";
+    const orderError = estimateOrderError(values);
+    if (orderError) return { error: orderError };
+  }
+
+  normalizeCountry(values);
+
+  return { values, actors, sources };
+}
+
+// Resolve validated actor links to registered actors, returning
+// { links } or { error } naming the first unknown actor
+async function resolveEventActors(client, links) {
+  const index = await loadActorIndex(client);
+  const resolved = resolveActorLinks(index, links);
+  if (resolved.unknown.length) {
+    return { error: `Unknown actor: ${resolved.unknown[0]}` };
+  }
+  return { links: resolved.links };
+}
+
+// Insert an event row with its actor links and sources and return its
+// snapshot. PostgreSQL hands the new id back through RETURNING, SQLite as
+// insertId.
+async function insertEvent(
+  client,
+  values,
+  userId,
+  { actors = [], sources = [] } = {}
+) {
+  const columns = [...Object.keys(values), "created_by"];
+  const params = [...Object.values(values), userId];
+  const placeholders = columns.map((column, index) => `$${index + 1}`);
+  const insertQuery = `
+    INSERT INTO events (${columns.join(", ")})
+    VALUES (${placeholders.join(", ")})
+  `;
+
+  let eventId;
+  if (client.type === "postgresql") {
+    const result = await client.query(`${insertQuery} RETURNING id`, params);
+    eventId = result.rows[0].id;
+  } else {
+    const result = await client.query(insertQuery, params);
+    eventId = result.insertId;
+  }
+
+  if (actors.length) {
+    await setEventActors(client, eventId, actors);
+  }
+  if (sources.length) {
+    await setEventSources(client, eventId, sources);
+  }
+  return loadEventSnapshot(client, eventId);
+}
+
+// Write validated column values to an event and bump updated_at
+async function applyEventUpdate(client, eventId, values) {
+  const fields = Object.keys(values);
+  const params = fields.map((field) => values[field]);
+  const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+  assignments.push("updated_at = CURRENT_TIMESTAMP");
+  params.push(eventId);
+
+  await client.query(
+    `UPDATE events SET ${assignments.join(", ")} WHERE id = $${params.length}`,
+    params
+  );
+}
+
+async function findEventById(id, columns = DEFAULT_COLUMNS) {
+  const result = await db.query(
+    `
+    SELECT ${columns.join(", ")}
+    FROM events e
+    LEFT JOIN users u ON e.created_by = u.id
+    WHERE e.id = $1
+  `,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// Count the events matching the list filters
+async function countEvents({ joins, conditions, params }) {
+  const result = await db.query(
+    `
+    SELECT COUNT(*) as total 
+    FROM events e 
+    ${joins.join(" ")}
+    ${whereClause(conditions)}
+  `,
+    params
+  );
+  return parseInt(result.rows[0].total);
+}
+
+// One page of events in page/limit mode
+async function fetchEventPage(filters, { page, limit, columns }) {
+  const { joins, conditions, params, selects, orderBy } = filters;
+
+  const query = `
+    SELECT ${[...columns, ...selects].join(", ")}
+    FROM events e 
+    LEFT JOIN users u ON e.created_by = u.id 
+    ${joins.join(" ")}
+    ${whereClause(conditions)}
+    ORDER BY ${orderBy.join(", ")}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `;
+
+  const result = await db.query(query, [...params, limit, (page - 1) * limit]);
+  return result.rows;
+}
+
+// One page of events after `cursor` (or the newest events when there is no
+// cursor). Keyset pagination always follows the (date, created_at, id)
+// order. Returns the events with the cursors of the neighbouring pages.
+async function fetchEventCursorPage(filters, { cursor, limit, columns }) {
+  const { joins, conditions, selects } = filters;
+  const params = [...filters.params];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const backwards = cursor && cursor.direction === "prev";
+  const direction = backwards ? "ASC" : "DESC";
+  const pageConditions = cursor
+    ? [...conditions, keysetCondition(cursor, addParam)]
+    : conditions;
+
+  // One extra row tells whether another page follows
+  const result = await db.query(
+    `
+    SELECT ${[...columns, ...selects, ...CURSOR_SELECTS].join(", ")}
+    FROM events e 
+    LEFT JOIN users u ON e.created_by = u.id 
+    ${joins.join(" ")}
+    ${whereClause(pageConditions)}
+    ORDER BY e.date ${direction}, e.created_at ${direction}, e.id ${direction}
+    LIMIT ${addParam(limit + 1)}
+  `,
+    params
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  if (backwards) rows.reverse();
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  // Moving forwards there is a previous page whenever we started from a
+  // cursor; moving backwards there is always a next page
+  const hasNext = backwards ? rows.length > 0 : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor) && rows.length > 0;
+
+  return {
+    events: stripCursorColumns(rows),
+    next: hasNext ? encodeCursor(last, "next") : null,
+    prev: hasPrev ? encodeCursor(first, "prev") : null,
+  };
+}
+
+// Largest page the events list serves, in page and cursor mode alike
+const MAX_PAGE_SIZE = 1000;
+
 // GET /api/events - Fetch conflict events with filters
 router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, format, cursor, include_total } = req.query;
+
+    if (format !== undefined && !["json", "geojson"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be json or geojson",
+      });
+    }
+
+    if (
+      include_total !== undefined &&
+      !["true", "false"].includes(include_total)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "include_total must be true or false",
+      });
+    }
+
+    const pageSize = parseInt(limit);
+    if (!(pageSize > 0) || pageSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be an integer from 1 to ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const filters = buildEventFilters(req.query, req.user);
+    if (filters.error) {
+      return res.status(filters.status).json({
+        success: false,
+        message: filters.error,
+      });
+    }
+
+    // GeoJSON features need their coordinates whatever fields were asked for
+    const projection = buildProjection(req.query, {
+      required: wantsGeoJson(req) ? ["id", "latitude", "longitude"] : ["id"],
+    });
+    if (projection.error) {
+      return res.status(400).json({
+        success: false,
+        message: projection.error,
+      });
+    }
+
+    // Cursor mode: `cursor` is present, empty for the first page
+    if (cursor !== undefined) {
+      if (req.query.sort !== undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "sort cannot be combined with cursor pagination",
+        });
+      }
+
+      const keyset = cursor === "" ? null : decodeCursor(cursor);
+      if (cursor !== "" && !keyset) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+
+      const {
+        events: rows,
+        next,
+        prev,
+      } = await fetchEventCursorPage(filters, {
+        cursor: keyset,
+        limit: pageSize,
+        columns: projection.columns,
+      });
+      const events = rows.map(projection.shape);
+      // The total costs a full count, so cursor clients ask for it
+      const total =
+        include_total === "true" ? await countEvents(filters) : undefined;
+
+      if (wantsGeoJson(req)) {
+        res.set("Link", buildCursorLinks(req, { next, prev }));
+        if (total !== undefined) res.set("X-Total-Count", String(total));
+        return res.type(GEOJSON_MEDIA_TYPE).json(toFeatureCollection(events));
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          events,
+          pagination: {
+            limit: pageSize,
+            next_cursor: next,
+            prev_cursor: prev,
+            ...(total !== undefined && { total }),
+          },
+        },
+      });
+    }
+
+    const pageNumber = parseInt(page);
+    if (!(pageNumber > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "page must be a positive integer",
+      });
+    }
+
+    const rows = await fetchEventPage(filters, {
+      page: pageNumber,
+      limit: pageSize,
+      columns: projection.columns,
+    });
+    const events = rows.map(projection.shape);
+
+    // Get total count for pagination, unless the client opted out
+    const total =
+      include_total === "false" ? undefined : await countEvents(filters);
+    const pages = total === undefined ? undefined : Math.ceil(total / pageSize);
+
+    // GeoJSON clients get a bare FeatureCollection, so pagination moves into
+    // the Link and X-Total-Count headers
+    if (wantsGeoJson(req)) {
+      if (total !== undefined) {
+        res.set("Link", buildPageLinks(req, { page: pageNumber, pages }));
+        res.set("X-Total-Count", String(total));
+      }
+      return res.type(GEOJSON_MEDIA_TYPE).json(toFeatureCollection(events));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          ...(total !== undefined && { total, pages }),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// POST /api/events - Create new event (admins and editors). Admins publish
+// directly by default; editors' events start as drafts.
+router.post(
+  "/",
+  authenticateToken,
+  requireRole(["admin", "editor"]),
+  async (req, res) => {
+    try {
+      const { values, actors, sources, error } = validateEventPayload(
+        req.body,
+        {
+          eventTypes: await loadEventTypes(),
+        }
+      );
+      const workflow = initialStatus(req.user, req.body && req.body.status);
+      if (error || workflow.error) {
+        return res.status(400).json({
+          success: false,
+          message: error || workflow.error,
+        });
+      }
+      values.status = workflow.status;
+
+      // Insert new event and its creation revision together
+      const newEvent = await db.transaction(async (client) => {
+        const resolved = await resolveEventActors(client, actors);
+        if (resolved.error) return resolved;
+
+        const event = await insertEvent(client, values, req.user.id, {
+          actors: resolved.links,
+          sources,
+        });
+        await recordRevision(client, {
+          eventId: event.id,
+          action: "create",
+          after: event,
+          userId: req.user.id,
+        });
+        return event;
+      });
+      if (newEvent.error) {
+        return res.status(400).json({
+          success: false,
+          message: newEvent.error,
+        });
+      }
+
+      // Nothing stops a second entry of the same incident, so point the
+      // admin at likely duplicates to review. The event is already saved, so
+      // a failed lookup only leaves the suggestions out.
+      let candidates = [];
+      try {
+        candidates = await findDuplicateCandidates(
+          db,
+          buildEventFilters({}, req.user),
+          { eventId: newEvent.id }
+        );
+      } catch (error) {
+        console.error("Find duplicate candidates error:", error);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Event created successfully",
+        data: {
+          event: newEvent,
+          possible_duplicates: candidates.map(({ score, events }) => ({
+            id: events.find((event) => event.id !== newEvent.id).id,
+            score,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Create event error:", error);
+
+      // Handle specific database errors
+      if (error.code === "23505" || error.code === "SQLITE_CONSTRAINT") {
+        return res.status(400).json({
+          success: false,
+          message: "Event with these details already exists",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// Sort validated import rows into new events and duplicates. Duplicates
+// repeat a live event or an earlier row of the same import.
+async function classifyImportRows(client, validRows) {
+  const existingKeys = await findExistingEventKeys(
+    client,
+    validRows.map(({ values }) => values.date)
+  );
+  const seenRows = new Map();
+
+  for (const entry of validRows) {
+    const key = eventKey(entry.values);
+    if (existingKeys.has(key)) {
+      entry.report.status = "skipped";
+      entry.report.reason = "Duplicate of an existing event";
+    } else if (seenRows.has(key)) {
+      entry.report.status = "skipped";
+      entry.report.reason = `Duplicate of row ${seenRows.get(key)}`;
+    } else {
+      seenRows.set(key, entry.report.row);
+    }
+  }
+
+  return validRows.filter(({ report }) => report.status === "valid");
+}
+
+// POST /api/events/import - Bulk import events from a JSON array or CSV
+// (admin only), optionally in an external column layout
+// (schema=acled|ucdp). mode=dry-run (default) only reports what would
+// happen; mode=commit inserts every valid row in a single transaction.
+router.post(
+  "/import",
+  authenticateToken,
+  requireRole("admin"),
+  express.text({ type: "text/csv", limit: "10mb" }),
+  async (req, res) => {
+    try {
+      const { mode = "dry-run", schema } = req.query;
+      if (!["dry-run", "commit"].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          message: "mode must be dry-run or commit",
+        });
+      }
+
+      const adapter = schema ? getFormatAdapter(schema) : null;
+      if (schema && !adapter) {
+        return res.status(400).json({
+          success: false,
+          message: `schema must be one of: ${Object.keys(FORMAT_ADAPTERS).join(
+            ", "
+          )}`,
+        });
+      }
+
+      const rows = readImportRows(req);
+      if (!rows) {
+        return res.status(400).json({
+          success: false,
+          message: "Send a JSON array of events or text/csv with a header row",
+        });
+      }
+      if (rows.length === 0 || rows.length > maxImportRows()) {
+        return res.status(400).json({
+          success: false,
+          message: `An import must contain between 1 and ${maxImportRows()} rows`,
+        });
+      }
+
+      // Validate every row with the createEvent rules and the create handler
+      const eventTypes = await loadEventTypes();
+      const actorIndex = await loadActorIndex();
+      const report = [];
+      const validRows = [];
+      for (const [index, rawRow] of rows.entries()) {
+        const rowReport = { row: index + 1, status: "valid" };
+        report.push(rowReport);
+
+        if (!rawRow || typeof rawRow !== "object" || Array.isArray(rawRow)) {
+          rowReport.status = "rejected";
+          rowReport.errors = [{ row: "Each row must be an object" }];
+          continue;
+        }
+
+        // Rows in an external layout are mapped onto our fields first
+        const row = adapter
+          ? cleanImportRow(adapter.toEvent(cleanImportRow(rawRow)))
+          : cleanImportRow(rawRow);
+        const errors = await checkCreateEventRules(row);
+        const { values, actors, sources, error } = validateEventPayload(row, {
+          eventTypes,
+        });
+        if (errors.length === 0 && error) {
+          errors.push({ event: error });
+        }
+
+        // Actors named in the row are registered on commit; ids must exist
+        let newActors = [];
+        if (errors.length === 0) {
+          const { unknown } = resolveActorLinks(actorIndex, actors);
+          const unknownIds = unknown.filter((name) => name.startsWith("#"));
+          if (unknownIds.length) {
+            errors.push({ actors: `Unknown actor: ${unknownIds[0]}` });
+          }
+          newActors = [...new Set(unknown)];
+        }
+
+        if (errors.length > 0) {
+          rowReport.status = "rejected";
+          rowReport.errors = errors;
+          continue;
+        }
+
+        // Keep the row's id and type in its dataset for exports in the same
+        // layout
+        if (adapter) {
+          values.external_source = adapter.name;
+          for (const field of ["external_id", "external_type"]) {
+            if (row[field] !== undefined) values[field] = String(row[field]);
+          }
+        }
+
+        if (newActors.length) rowReport.new_actors = newActors;
+        validRows.push({ values, actors, sources, report: rowReport });
+      }
+
+      let created = 0;
+      if (mode === "commit") {
+        await db.transaction(async (client) => {
+          const newRows = await classifyImportRows(client, validRows);
+          for (const {
+            values,
+            actors,
+            sources,
+            report: rowReport,
+          } of newRows) {
+            await createActors(client, actorIndex, rowReport.new_actors || []);
+            const event = await insertEvent(client, values, req.user.id, {
+              actors: resolveActorLinks(actorIndex, actors).links,
+              sources,
+            });
+            await recordRevision(client, {
+              eventId: event.id,
+              action: "create",
+              after: event,
+              userId: req.user.id,
+              comment: "Bulk import",
+            });
+            rowReport.status = "created";
+            rowReport.event_id = event.id;
+            created++;
+          }
+        });
+      } else {
+        await classifyImportRows(db, validRows);
+      }
+
+      const countStatus = (status) =>
+        report.filter((rowReport) => rowReport.status === status).length;
+      const summary = {
+        total: rows.length,
+        valid: countStatus("valid") + created,
+        created,
+        skipped: countStatus("skipped"),
+        rejected: countStatus("rejected"),
+      };
+
+      res.status(created > 0 ? 201 : 200).json({
+        success: true,
+        message: mode === "commit" ? "Import completed" : "Dry run completed",
+        data: { mode, summary, rows: report },
+      });
+    } catch (error) {
+      console.error("Import events error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+const DEFAULT_TOP_N = 10;
+const MAX_TOP_N = 100;
+
+// Roll subregion totals up to their regions
+function totalsByRegion(subregionRows, measures) {
+  const regions = new Map();
+  for (const row of subregionRows) {
+    const totals = regions.get(row.region) || {
+      region: row.region,
+      event_count: 0,
+      ...Object.fromEntries(measures.map((measure) => [`total_${measure}`, 0])),
+    };
+    totals.event_count += Number(row.event_count);
+    for (const measure of measures) {
+      totals[`total_${measure}`] += Number(row[`total_${measure}`]) || 0;
+    }
+    regions.set(row.region, totals);
+  }
+  return [...regions.values()].sort((a, b) => b.event_count - a.event_count);
+}
+
+// GET /api/events/stats - Get events statistics
+router.get("/stats", authenticateToken, async (req, res) => {
+  try {
+    const { top_n = String(DEFAULT_TOP_N) } = req.query;
+    const topN = /^\d+$/.test(top_n) ? parseInt(top_n) : NaN;
+    if (!(topN >= 1 && topN <= MAX_TOP_N)) {
+      return res.status(400).json({
+        success: false,
+        message: `top_n must be an integer between 1 and ${MAX_TOP_N}`,
+      });
+    }
+
+    // Casualty figures to total, the best estimate by default
+    const { measures, error } = parseMeasures(req.query.measures);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    const sums = measureSums(measures).join(", ");
+
+    // Same filters as the events list, so the stats match what is listed
+    const filters = buildEventFilters(req.query, req.user);
+    if (filters.error) {
+      return res.status(filters.status).json({
+        success: false,
+        message: filters.error,
+      });
+    }
+    const { joins, conditions, params } = filters;
+    const from = `
+      FROM events e
+      LEFT JOIN countries c ON c.code = e.country_code
+      ${joins.join(" ")}
+      ${whereClause(conditions)}
+    `;
+    // Recognised countries count once under their reference name, however
+    // the events spell them; anything else falls back to the stored text
+    const country = "COALESCE(c.name, e.country)";
+
+    const statsResult = await db.query(
+      `
+      SELECT 
+        COUNT(*) as total_events,
+        ${sums},
+        COUNT(DISTINCT COALESCE(e.country_code, e.country)) as countries_affected,
+        COUNT(DISTINCT e.event_type) as event_types
+      ${from}
+    `,
+      params
+    );
+
+    const countryStatsResult = await db.query(
+      `
+      SELECT 
+        ${country} as country,
+        e.country_code,
+        COUNT(*) as event_count,
+        ${sums}
+      ${from}
+      GROUP BY ${country}, e.country_code
+      ORDER BY event_count DESC, country
+      LIMIT $${params.length + 1}
+    `,
+      [...params, topN]
+    );
+
+    const typeStatsResult = await db.query(
+      `
+      SELECT 
+        e.event_type,
+        COUNT(*) as event_count,
+        ${sums}
+      ${from}
+      GROUP BY e.event_type 
+      ORDER BY event_count DESC, e.event_type
+    `,
+      params
+    );
+
+    const subregionStatsResult = await db.query(
+      `
+      SELECT 
+        c.region,
+        c.subregion,
+        COUNT(*) as event_count,
+        ${sums}
+      ${from}
+      GROUP BY c.region, c.subregion
+      ORDER BY event_count DESC, c.region, c.subregion
+    `,
+      params
+    );
+
+    // Country x type breakdown for the countries in by_country
+    const breakdownResult = await db.query(
+      `
+      SELECT 
+        ${country} as country,
+        e.country_code,
+        e.event_type,
+        COUNT(*) as event_count,
+        ${sums}
+      ${from}
+      GROUP BY ${country}, e.country_code, e.event_type
+      ORDER BY country, event_count DESC, e.event_type
+    `,
+      params
+    );
+    const topCountries = new Set(
+      countryStatsResult.rows.map((row) => row.country)
+    );
+
+    // Most active actors; an actor holding two roles in one event counts once
+    const actorStatsResult = await db.query(
+      `
+      SELECT 
+        a.id as actor_id,
+        a.name,
+        a.type,
+        COUNT(*) as event_count,
+        ${sums}
+      FROM events e
+      JOIN (SELECT DISTINCT event_id, actor_id FROM event_actors) ea
+        ON ea.event_id = e.id
+      JOIN actors a ON a.id = ea.actor_id
+      ${joins.join(" ")}
+      ${whereClause(conditions)}
+      GROUP BY a.id, a.name, a.type
+      ORDER BY event_count DESC, a.name
+      LIMIT $${params.length + 1}
+    `,
+      [...params, topN]
+    );
+
+    const tagStatsResult = await db.query(
+      `
+      SELECT 
+        t.id as tag_id,
+        t.name,
+        COUNT(*) as event_count,
+        ${sums}
+      FROM events e
+      JOIN event_tags et ON et.event_id = e.id
+      JOIN tags t ON t.id = et.tag_id
+      ${joins.join(" ")}
+      ${whereClause(conditions)}
+      GROUP BY t.id, t.name
+      ORDER BY event_count DESC, t.name
+      LIMIT $${params.length + 1}
+    `,
+      [...params, topN]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        overall: statsResult.rows[0],
+        by_country: countryStatsResult.rows,
+        by_type: typeStatsResult.rows,
+        by_region: totalsByRegion(subregionStatsResult.rows, measures),
+        by_subregion: subregionStatsResult.rows,
+        by_country_type: breakdownResult.rows.filter((row) =>
+          topCountries.has(row.country)
+        ),
+        by_actor: actorStatsResult.rows,
+        by_tag: tagStatsResult.rows,
+      },
+    });
+  } catch (error) {
+    console.error("Get stats error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// GET /api/events/stats/timeseries - Event counts and fatalities per period.
+// Each event counts once, in the bucket holding the day date_basis picks from
+// its span; start_date and end_date filter on that day too.
+router.get("/stats/timeseries", authenticateToken, async (req, res) => {
   try {
     const {
-      country,
-      event_type,
+      interval = "month",
       start_date,
       end_date,
-      page = 1,
-      limit = 10,
+      date_basis = "start",
     } = req.query;
 
-    // Build dynamic query - use ? placeholders for SQLite compatibility
-    let query = `
-      SELECT e.*, u.username as created_by_username 
-      FROM events e 
-      LEFT JOIN users u ON e.created_by = u.id 
-      WHERE 1=1
-    `;
-    const queryParams = [];
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `interval must be one of ${INTERVALS.join(", ")}`,
+      });
+    }
+
+    const { measures, error } = parseMeasures(req.query.measures);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
 
-    // Add filters
-    if (country) {
-      query += ` AND LOWER(e.country) LIKE LOWER(?)`;
-      queryParams.push(`%${country}%`);
+    if (
+      (start_date !== undefined && !isDay(start_date)) ||
+      (end_date !== undefined && !isDay(end_date))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "start_date and end_date must be dates (YYYY-MM-DD)",
+      });
     }
 
-    if (event_type) {
-      query += ` AND LOWER(e.event_type) LIKE LOWER(?)`;
-      queryParams.push(`%${event_type}%`);
+    if (start_date && end_date && start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        message: "start_date cannot be after end_date",
+      });
     }
 
-    if (start_date) {
-      query += ` AND e.date >= ?`;
-      queryParams.push(start_date);
+    if (!Object.prototype.hasOwnProperty.call(DATE_BASES, date_basis)) {
+      return res.status(400).json({
+        success: false,
+        message: `date_basis must be one of ${Object.keys(DATE_BASES).join(
+          ", "
+        )}`,
+      });
     }
+    const day = DATE_BASES[date_basis](db.type);
 
+    const filters = buildEventFilters(
+      { ...req.query, start_date: undefined, end_date: undefined },
+      req.user
+    );
+    if (filters.error) {
+      return res.status(filters.status).json({
+        success: false,
+        message: filters.error,
+      });
+    }
+    const { joins, conditions, params } = filters;
+    if (start_date) {
+      params.push(start_date);
+      conditions.push(`${day} >= $${params.length}`);
+    }
     if (end_date) {
-      query += ` AND e.date <= ?`;
-      queryParams.push(end_date);
+      params.push(end_date);
+      conditions.push(`${day} <= $${params.length}`);
     }
 
-    // Add ordering
-    query += ` ORDER BY e.date DESC, e.created_at DESC`;
+    const result = await db.query(
+      `
+      SELECT 
+        ${bucketExpression(db.type, interval, day)} as bucket,
+        COUNT(*) as events,
+        ${measureSums(measures, "").join(", ")}
+      FROM events e
+      ${joins.join(" ")}
+      ${whereClause(conditions)}
+      GROUP BY bucket
+      ORDER BY bucket
+    `,
+      params
+    );
 
-    // Add pagination
-    const offset = (page - 1) * limit;
-    query += ` LIMIT ? OFFSET ?`;
-    queryParams.push(parseInt(limit), parseInt(offset));
+    // Without explicit dates the series spans the buckets that have events
+    const rows = result.rows;
+    const from = start_date || (rows.length ? rows[0].bucket : end_date);
+    const to = end_date || (rows.length ? rows[rows.length - 1].bucket : from);
 
-    // Execute main query
-    const result = await db.query(query, queryParams);
+    const buckets = from
+      ? fillBuckets(rows, {
+          interval,
+          from,
+          to,
+          measures: ["events", ...measures],
+        })
+      : [];
+    if (!buckets) {
+      return res.status(400).json({
+        success: false,
+        message: `Range covers more than ${MAX_BUCKETS} buckets; use a larger interval or narrow the dates`,
+      });
+    }
 
-    // Get total count for pagination
-    let countQuery = `
-      SELECT COUNT(*) as total 
-      FROM events e 
-      WHERE 1=1
+    res.json({
+      success: true,
+      data: {
+        interval,
+        date_basis,
+        start: buckets.length ? buckets[0].period : null,
+        end: buckets.length ? buckets[buckets.length - 1].period : null,
+        buckets,
+      },
+    });
+  } catch (error) {
+    console.error("Get timeseries error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// GET /api/events/export - Stream the filtered events as CSV or NDJSON,
+// optionally in an external column layout (schema=acled|ucdp).
+// Rows are read in id order, EXPORT_CHUNK_SIZE at a time, and written with
+// backpressure so memory stays flat however large the table is.
+router.get("/export", authenticateToken, async (req, res) => {
+  try {
+    const { format = "csv", schema } = req.query;
+    const writer = EXPORT_FORMATS[format];
+    if (!writer) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const adapter = schema ? getFormatAdapter(schema) : null;
+    if (schema && !adapter) {
+      return res.status(400).json({
+        success: false,
+        message: `schema must be one of: ${Object.keys(FORMAT_ADAPTERS).join(
+          ", "
+        )}`,
+      });
+    }
+    const columns = adapter ? adapter.columns : EXPORT_COLUMNS;
+    // External layouts carry actor and source columns, so their rows need
+    // the related data
+    const related = adapter
+      ? [EVENT_INCLUDES.actors, EVENT_INCLUDES.sources]
+      : [];
+    const toRow = adapter
+      ? (event) =>
+          adapter.fromEvent(
+            related.reduce((shaped, entry) => entry.shape(shaped), event)
+          )
+      : (event) => event;
+    const extraSelects = related.flatMap((entry) => entry.selects);
+
+    const filters = buildEventFilters(req.query, req.user);
+    if (filters.error) {
+      return res.status(filters.status).json({
+        success: false,
+        message: filters.error,
+      });
+    }
+    const { joins, conditions, params } = filters;
+
+    const chunkSize = parseInt(process.env.EXPORT_CHUNK_SIZE) || 500;
+    const cursorParam = `$${params.length + 1}`;
+    const chunkQuery = `
+      SELECT ${[...DEFAULT_COLUMNS, ...extraSelects].join(", ")}
+      FROM events e
+      LEFT JOIN users u ON e.created_by = u.id
+      ${joins.join(" ")}
+      ${whereClause([...conditions, `e.id > ${cursorParam}`])}
+      ORDER BY e.id
+      LIMIT $${params.length + 2}
     `;
-    const countParams = [];
 
-    if (country) {
-      countQuery += ` AND LOWER(e.country) LIKE LOWER(?)`;
-      countParams.push(`%${country}%`);
+    let aborted = false;
+    req.on("close", () => {
+      aborted = true;
+    });
+
+    res.status(200);
+    res.set({
+      "Content-Type": writer.contentType,
+      "Content-Disposition": `attachment; filename="${exportFilename(
+        writer.extension,
+        adapter ? `events-${adapter.name}` : "events"
+      )}"`,
+      "X-Data-Attribution":
+        process.env.DATA_ATTRIBUTION || "Conflict Data Explorer",
+    });
+
+    const write = async (chunk) => {
+      if (chunk && !res.write(chunk)) {
+        await once(res, "drain");
+      }
+    };
+
+    await write(writer.header(columns));
+
+    let lastId = 0;
+    while (!aborted) {
+      const result = await db.query(chunkQuery, [...params, lastId, chunkSize]);
+
+      for (const event of result.rows) {
+        await write(writer.row(toRow(event), columns));
+      }
+
+      if (result.rows.length < chunkSize) break;
+      lastId = result.rows[result.rows.length - 1].id;
     }
 
-    if (event_type) {
-      countQuery += ` AND LOWER(e.event_type) LIKE LOWER(?)`;
-      countParams.push(`%${event_type}%`);
+    res.end();
+  } catch (error) {
+    console.error("Export events error:", error);
+
+    // Once streaming has started the status line is gone, so cut the response
+    if (res.headersSent) {
+      return res.destroy(error);
     }
 
-    if (start_date) {
-      countQuery += ` AND e.date >= ?`;
-      countParams.push(start_date);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// GET /api/events/quality/unsourced - Data-quality view of events without any
+// source citation. The list filters narrow the events considered.
+router.get("/quality/unsourced", authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    if (!(pageNumber > 0) || !(pageSize > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "page and limit must be positive integers",
+      });
     }
 
-    if (end_date) {
-      countQuery += ` AND e.date <= ?`;
-      countParams.push(end_date);
+    const scope = buildEventFilters(
+      { ...req.query, has_sources: undefined },
+      req.user
+    );
+    const filters = buildEventFilters(
+      { ...req.query, has_sources: "false" },
+      req.user
+    );
+    if (filters.error) {
+      return res.status(filters.status).json({
+        success: false,
+        message: filters.error,
+      });
     }
 
-    const countResult = await db.query(countQuery, countParams);
-    const total = parseInt(countResult.rows[0].total);
+    const totalEvents = await countEvents(scope);
+    const unsourcedEvents = await countEvents(filters);
+
+    const { joins, conditions, params } = filters;
+    const countryResult = await db.query(
+      `
+      SELECT 
+        e.country,
+        e.country_code,
+        COUNT(*) as event_count
+      FROM events e
+      ${joins.join(" ")}
+      ${whereClause(conditions)}
+      GROUP BY e.country, e.country_code
+      ORDER BY event_count DESC, e.country
+    `,
+      params
+    );
+
+    const events = await fetchEventPage(filters, {
+      page: pageNumber,
+      limit: pageSize,
+      columns: DEFAULT_COLUMNS,
+    });
 
     res.json({
       success: true,
       data: {
-        events: result.rows,
+        summary: {
+          total_events: totalEvents,
+          unsourced_events: unsourcedEvents,
+          unsourced_pct:
+            totalEvents > 0
+              ? Math.round((unsourcedEvents / totalEvents) * 10000) / 100
+              : 0,
+        },
+        by_country: countryResult.rows,
+        events,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit),
+          page: pageNumber,
+          limit: pageSize,
+          total: unsourcedEvents,
+          pages: Math.ceil(unsourcedEvents / pageSize),
         },
       },
     });
   } catch (error) {
-    console.error("Get events error:", error);
+    console.error("Get unsourced events error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -109,138 +1360,801 @@ router.get("/", authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/events - Create new event (admin only)
-router.post("/", authenticateToken, requireRole("admin"), async (req, res) => {
-  try {
-    const { country, event_type, fatalities, date, description } = req.body;
+const DEFAULT_DUPLICATE_LIMIT = 50;
+const MAX_DUPLICATE_LIMIT = 200;
 
-    // Validate required fields
-    if (!country || !event_type || !date) {
-      return res.status(400).json({
+// GET /api/events/duplicates - Candidate pairs of events that may record the
+// same incident, best match first (admin only). The list filters narrow the
+// events considered.
+router.get(
+  "/duplicates",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const {
+        window_days = DEFAULT_WINDOW_DAYS,
+        min_score = DEFAULT_MIN_SCORE,
+        limit = DEFAULT_DUPLICATE_LIMIT,
+      } = req.query;
+
+      const windowDays = Number(window_days);
+      if (
+        !Number.isInteger(windowDays) ||
+        windowDays < 0 ||
+        windowDays > MAX_WINDOW_DAYS
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `window_days must be an integer from 0 to ${MAX_WINDOW_DAYS}`,
+        });
+      }
+      const minScore = Number(min_score);
+      if (min_score === "" || !(minScore >= 0 && minScore <= 1)) {
+        return res.status(400).json({
+          success: false,
+          message: "min_score must be a number from 0 to 1",
+        });
+      }
+      const pageSize = Number(limit);
+      if (
+        !Number.isInteger(pageSize) ||
+        pageSize < 1 ||
+        pageSize > MAX_DUPLICATE_LIMIT
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `limit must be an integer from 1 to ${MAX_DUPLICATE_LIMIT}`,
+        });
+      }
+
+      const filters = buildEventFilters(req.query, req.user);
+      if (filters.error) {
+        return res.status(filters.status).json({
+          success: false,
+          message: filters.error,
+        });
+      }
+
+      const candidates = await findDuplicateCandidates(db, filters, {
+        windowDays,
+        minScore,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          window_days: windowDays,
+          min_score: minScore,
+          total: candidates.length,
+          candidates: candidates.slice(0, pageSize),
+        },
+      });
+    } catch (error) {
+      console.error("Get duplicate candidates error:", error);
+      res.status(500).json({
         success: false,
-        message: "Country, event_type, and date are required",
+        message: "Internal server error",
       });
     }
+  }
+);
+
+// POST /api/events/duplicates/dismiss - Mark a candidate pair as not being a
+// duplicate so it is no longer suggested (admin only)
+router.post(
+  "/duplicates/dismiss",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const ids = Array.isArray(req.body && req.body.event_ids)
+        ? req.body.event_ids.map(parseId)
+        : [];
+      if (ids.length !== 2 || !ids.every(Boolean) || ids[0] === ids[1]) {
+        return res.status(400).json({
+          success: false,
+          message: "event_ids must list two different event ids",
+        });
+      }
+
+      const dismissed = await db.transaction(async (client) => {
+        const found = await client.query(
+          "SELECT id FROM events WHERE id IN ($1, $2)",
+          ids
+        );
+        if (found.rows.length !== 2) return false;
+
+        await dismissDuplicatePair(client, ids, req.user.id);
+        return true;
+      });
+
+      if (!dismissed) {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
 
-    // Validate date format
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(date)) {
+      res.json({
+        success: true,
+        message: "Duplicate candidate dismissed",
+      });
+    } catch (error) {
+      console.error("Dismiss duplicate error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// GET /api/events/:id - Fetch a single event
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const eventId = parseId(req.params.id);
+    if (!eventId) {
       return res.status(400).json({
         success: false,
-        message: "Date must be in YYYY-MM-DD format",
+        message: "Invalid event ID",
       });
     }
 
-    // Validate fatalities is a positive number
-    const fatalitiesNum = fatalities ? parseInt(fatalities) : 0;
-    if (isNaN(fatalitiesNum) || fatalitiesNum < 0) {
+    // A single event always carries its citations; the list embeds them only
+    // on request
+    const projection = buildProjection(req.query, { embedded: ["sources"] });
+    if (projection.error) {
       return res.status(400).json({
         success: false,
-        message: "Fatalities must be a non-negative number",
+        message: projection.error,
       });
     }
 
-    // Insert new event
-    if (db.type === "postgresql") {
-      const result = await db.query(
-        `
-        INSERT INTO events (country, event_type, fatalities, date, description, created_by)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING *
-      `,
-        [country, event_type, fatalitiesNum, date, description, req.user.id]
+    // Deleted events stay visible to admins so they can be restored, and
+    // unpublished ones to admins and their editors. The columns deciding
+    // visibility are selected separately as `fields` may leave them out.
+    const row = await findEventById(eventId, [
+      ...projection.columns,
+      "e.deleted_at as visibility_deleted_at",
+      "e.status as visibility_status",
+      "e.created_by as visibility_created_by",
+    ]);
+    if (
+      !row ||
+      (row.visibility_deleted_at && req.user.role !== "admin") ||
+      !canViewEvent(req.user, {
+        status: row.visibility_status,
+        created_by: row.visibility_created_by,
+      })
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    const {
+      visibility_deleted_at,
+      visibility_status,
+      visibility_created_by,
+      ...event
+    } = row;
+    res.json({
+      success: true,
+      data: { event: projection.shape(event) },
+    });
+  } catch (error) {
+    console.error("Get event error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Shared handler for PUT (full replacement) and PATCH (partial update)
+const updateEvent = ({ partial }) => {
+  return async (req, res) => {
+    try {
+      const eventId = parseId(req.params.id);
+      if (!eventId) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid event ID",
+        });
+      }
+
+      const { values, actors, sources, error } = validateEventPayload(
+        req.body,
+        { partial, eventTypes: await loadEventTypes() }
       );
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
 
-      const newEvent = result.rows[0];
+      const updated = await db.transaction(async (client) => {
+        const before = await loadEventSnapshot(client, eventId);
+        if (!before || before.deleted_at || !canViewEvent(req.user, before)) {
+          return false;
+        }
+        if (!canEditEvent(req.user, before)) {
+          return {
+            status: 403,
+            message:
+              "Editors can only change their own draft or rejected events",
+          };
+        }
+        // A partial update is checked against the estimates and dates
+        // already stored
+        const orderError = estimateOrderError({ ...before, ...values });
+        if (orderError) return { error: orderError };
+        const spanError = applyDateSpan(values, before);
+        if (spanError) return { error: spanError };
 
-      res.status(201).json({
+        if (actors !== undefined) {
+          const resolved = await resolveEventActors(client, actors);
+          if (resolved.error) return resolved;
+          await setEventActors(client, eventId, resolved.links);
+        }
+        if (sources !== undefined) {
+          await setEventSources(client, eventId, sources);
+        }
+        await applyEventUpdate(client, eventId, values);
+        await recordRevision(client, {
+          eventId,
+          action: "update",
+          before,
+          after: await loadEventSnapshot(client, eventId),
+          userId: req.user.id,
+        });
+        return true;
+      });
+
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
+      if (updated.status) {
+        return res.status(updated.status).json({
+          success: false,
+          message: updated.message,
+        });
+      }
+      if (updated.error) {
+        return res.status(400).json({
+          success: false,
+          message: updated.error,
+        });
+      }
+
+      const event = await findEventById(eventId);
+
+      res.json({
         success: true,
-        message: "Event created successfully",
-        data: { event: newEvent },
+        message: "Event updated successfully",
+        data: { event },
       });
-    } else {
-      // SQLite
-      const result = await db.query(
-        `
-        INSERT INTO events (country, event_type, fatalities, date, description, created_by)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `,
-        [country, event_type, fatalitiesNum, date, description, req.user.id]
-      );
+    } catch (error) {
+      console.error("Update event error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  };
+};
+
+// PUT /api/events/:id - Replace an event (admins, and editors for their own
+// draft or rejected events)
+router.put(
+  "/:id",
+  authenticateToken,
+  requireRole(["admin", "editor"]),
+  updateEvent({ partial: false })
+);
+
+// PATCH /api/events/:id - Update selected fields of an event (admins, and
+// editors for their own draft or rejected events)
+router.patch(
+  "/:id",
+  authenticateToken,
+  requireRole(["admin", "editor"]),
+  updateEvent({ partial: true })
+);
 
-      // Get the inserted event
-      const newEventResult = await db.query(
-        "SELECT * FROM events WHERE id = ?",
-        [result.insertId]
+const MAX_REVIEW_COMMENT_LENGTH = 1000;
+
+// Handler moving an event through the editorial workflow with `action`
+const reviewEvent = (action) => {
+  return async (req, res) => {
+    try {
+      const eventId = parseId(req.params.id);
+      if (!eventId) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid event ID",
+        });
+      }
+
+      const comment = req.body && req.body.comment;
+      if (
+        comment !== undefined &&
+        comment !== null &&
+        (typeof comment !== "string" ||
+          comment.length > MAX_REVIEW_COMMENT_LENGTH)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `comment must be a string of at most ${MAX_REVIEW_COMMENT_LENGTH} characters`,
+        });
+      }
+
+      const outcome = await db.transaction((client) =>
+        transitionEvent(client, {
+          eventId,
+          action,
+          comment: comment ? comment.trim() : null,
+          user: req.user,
+        })
       );
 
-      res.status(201).json({
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
         success: true,
-        message: "Event created successfully",
-        data: { event: newEventResult.rows[0] },
+        message: `Event is now ${outcome.event.status}`,
+        data: { event: outcome.event },
+      });
+    } catch (error) {
+      console.error(`Event ${action} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
       });
     }
-  } catch (error) {
-    console.error("Create event error:", error);
+  };
+};
 
-    // Handle specific database errors
-    if (error.code === "23505" || error.code === "SQLITE_CONSTRAINT") {
-      return res.status(400).json({
+// POST /api/events/:id/submit - Submit a draft or rejected event for review
+// (editors for their own events, and admins)
+router.post(
+  "/:id/submit",
+  authenticateToken,
+  requireRole(WORKFLOW_ACTIONS.submit.roles),
+  reviewEvent("submit")
+);
+
+// POST /api/events/:id/approve - Verify a submitted event, or publish a
+// verified one (admin only)
+router.post(
+  "/:id/approve",
+  authenticateToken,
+  requireRole(WORKFLOW_ACTIONS.approve.roles),
+  reviewEvent("approve")
+);
+
+// POST /api/events/:id/reject - Reject a submitted or verified event with a
+// comment (admin only)
+router.post(
+  "/:id/reject",
+  authenticateToken,
+  requireRole(WORKFLOW_ACTIONS.reject.roles),
+  reviewEvent("reject")
+);
+
+// GET /api/events/:id/reviews - Review log of an event (admins and editors)
+router.get(
+  "/:id/reviews",
+  authenticateToken,
+  requireRole(["admin", "editor"]),
+  async (req, res) => {
+    try {
+      const eventId = parseId(req.params.id);
+      if (!eventId) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid event ID",
+        });
+      }
+
+      const event = await loadEventSnapshot(db, eventId);
+      if (!event || !canViewEvent(req.user, event)) {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          event_id: eventId,
+          status: event.status,
+          reviews: await listReviews(db, eventId),
+        },
+      });
+    } catch (error) {
+      console.error("Get event reviews error:", error);
+      res.status(500).json({
         success: false,
-        message: "Event with these details already exists",
+        message: "Internal server error",
       });
     }
+  }
+);
 
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-    });
+// Why the user cannot tag an event, as { status, message }, or null when
+// they can: the event must be active and editable by them
+async function checkTaggableEvent(client, eventId, user) {
+  const result = await client.query(
+    "SELECT id, status, created_by, deleted_at FROM events WHERE id = $1",
+    [eventId]
+  );
+  const event = result.rows[0];
+  if (!event || event.deleted_at || !canViewEvent(user, event)) {
+    return { status: 404, message: "Event not found" };
   }
-});
+  if (!canEditEvent(user, event)) {
+    return {
+      status: 403,
+      message: "Editors can only tag their own draft or rejected events",
+    };
+  }
+  return null;
+}
 
-// GET /api/events/stats - Get events statistics
-router.get("/stats", authenticateToken, async (req, res) => {
+// POST /api/events/:id/tags - Tag an event (admins and editors). Admins
+// create tags that do not exist yet; editors use existing ones.
+router.post(
+  "/:id/tags",
+  authenticateToken,
+  requireRole(["admin", "editor"]),
+  async (req, res) => {
+    try {
+      const eventId = parseId(req.params.id);
+      if (!eventId) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid event ID",
+        });
+      }
+
+      const { names, error } = parseTagNames(req.body && req.body.tags);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const outcome = await db.transaction(async (client) => {
+        const refused = await checkTaggableEvent(client, eventId, req.user);
+        if (refused) return refused;
+
+        const found = await resolveTagsToAdd(client, names, req.user);
+        if (found.error) return { status: 400, message: found.error };
+        await tagEvents(
+          client,
+          [eventId],
+          found.tags.map((tag) => tag.id),
+          req.user.id
+        );
+        return { tags: await loadEventTags(client, eventId) };
+      });
+
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Tags added successfully",
+        data: { event_id: eventId, tags: outcome.tags },
+      });
+    } catch (error) {
+      console.error("Tag event error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// DELETE /api/events/:id/tags/:tag - Remove a tag from an event, by name
+// (admins and editors)
+router.delete(
+  "/:id/tags/:tag",
+  authenticateToken,
+  requireRole(["admin", "editor"]),
+  async (req, res) => {
+    try {
+      const eventId = parseId(req.params.id);
+      const name = normalizeTagName(req.params.tag);
+      if (!eventId || !name) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid event ID or tag name",
+        });
+      }
+
+      const outcome = await db.transaction(async (client) => {
+        const refused = await checkTaggableEvent(client, eventId, req.user);
+        if (refused) return refused;
+        const [tag] = await findTagsByName(client, [name]);
+        if (!tag || !(await untagEvents(client, [eventId], [tag.id]))) {
+          return { status: 404, message: "Event does not have this tag" };
+        }
+        return { tags: await loadEventTags(client, eventId) };
+      });
+
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Tag removed successfully",
+        data: { event_id: eventId, tags: outcome.tags },
+      });
+    } catch (error) {
+      console.error("Untag event error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// DELETE /api/events/:id - Move an event to the trash (admin only)
+router.delete(
+  "/:id",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const eventId = parseId(req.params.id);
+      if (!eventId) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid event ID",
+        });
+      }
+
+      const deleted = await db.transaction(async (client) => {
+        const before = await loadEventSnapshot(client, eventId);
+        if (!before || before.deleted_at) return false;
+
+        // Events are evidence, so deletes only move them to the trash
+        await client.query(
+          `
+          UPDATE events
+          SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1
+          WHERE id = $2
+        `,
+          [req.user.id, eventId]
+        );
+        await recordRevision(client, {
+          eventId,
+          action: "delete",
+          before,
+          after: await loadEventSnapshot(client, eventId),
+          userId: req.user.id,
+        });
+        return true;
+      });
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Event deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete event error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// POST /api/events/:id/restore - Restore an event from the trash (admin only)
+router.post(
+  "/:id/restore",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const eventId = parseId(req.params.id);
+      if (!eventId) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid event ID",
+        });
+      }
+
+      const outcome = await db.transaction(async (client) => {
+        const before = await loadEventSnapshot(client, eventId);
+        if (!before) return "missing";
+        if (!before.deleted_at) return "active";
+        if (before.merged_into_id) return "merged";
+
+        await client.query(
+          `
+          UPDATE events
+          SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `,
+          [eventId]
+        );
+        await recordRevision(client, {
+          eventId,
+          action: "restore",
+          before,
+          after: await loadEventSnapshot(client, eventId),
+          userId: req.user.id,
+        });
+        return "restored";
+      });
+
+      if (outcome === "missing") {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
+      if (outcome === "active") {
+        return res.status(400).json({
+          success: false,
+          message: "Event is not deleted",
+        });
+      }
+      if (outcome === "merged") {
+        return res.status(400).json({
+          success: false,
+          message: "Event was merged into another event and cannot be restored",
+        });
+      }
+
+      const event = await findEventById(eventId);
+
+      res.json({
+        success: true,
+        message: "Event restored successfully",
+        data: { event },
+      });
+    } catch (error) {
+      console.error("Restore event error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// POST /api/events/:id/merge - Merge a duplicate into this event (admin
+// only). The event keeps its own values, filling in fields it lacks from the
+// duplicate, and gains the duplicate's actors, sources and history. The
+// duplicate is moved to the trash.
+router.post(
+  "/:id/merge",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const eventId = parseId(req.params.id);
+      const duplicateId = parseId(req.body && req.body.duplicate_id);
+      if (!eventId || !duplicateId) {
+        return res.status(400).json({
+          success: false,
+          message: !eventId
+            ? "Invalid event ID"
+            : "duplicate_id must be an event id",
+        });
+      }
+      if (eventId === duplicateId) {
+        return res.status(400).json({
+          success: false,
+          message: "An event cannot be merged into itself",
+        });
+      }
+
+      const outcome = await db.transaction((client) =>
+        mergeEvents(client, {
+          eventId,
+          duplicateId,
+          fields: EVENT_FIELDS,
+          userId: req.user.id,
+        })
+      );
+
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Events merged successfully",
+        data: {
+          event: outcome.event,
+          merged_event_id: duplicateId,
+        },
+      });
+    } catch (error) {
+      console.error("Merge events error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// GET /api/events/:id/history - Revision history of an event
+router.get("/:id/history", authenticateToken, async (req, res) => {
   try {
-    const statsResult = await db.query(`
-      SELECT 
-        COUNT(*) as total_events,
-        SUM(fatalities) as total_fatalities,
-        COUNT(DISTINCT country) as countries_affected,
-        COUNT(DISTINCT event_type) as event_types
-      FROM events
-    `);
+    const eventId = parseId(req.params.id);
+    if (!eventId) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid event ID",
+      });
+    }
 
-    const countryStatsResult = await db.query(`
-      SELECT 
-        country,
-        COUNT(*) as event_count,
-        SUM(fatalities) as total_fatalities
-      FROM events 
-      GROUP BY country 
-      ORDER BY event_count DESC 
-      LIMIT 10
-    `);
-
-    const typeStatsResult = await db.query(`
-      SELECT 
-        event_type,
-        COUNT(*) as event_count,
-        SUM(fatalities) as total_fatalities
-      FROM events 
-      GROUP BY event_type 
-      ORDER BY event_count DESC
-    `);
+    // The history of a deleted or unpublished event is as private as the
+    // event: deleted and purged events only show it to admins, as GET /:id
+    // does
+    const event = await loadEventSnapshot(db, eventId);
+    const hidden = event
+      ? (event.deleted_at && req.user.role !== "admin") ||
+        !canViewEvent(req.user, event)
+      : req.user.role !== "admin";
+    const revisions = hidden ? [] : await listRevisions(eventId);
+    if (revisions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        overall: statsResult.rows[0],
-        by_country: countryStatsResult.rows,
-        by_type: typeStatsResult.rows,
+        event_id: eventId,
+        revisions,
       },
     });
   } catch (error) {
-    console.error("Get stats error:", error);
+    console.error("Get event history error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -248,4 +2162,112 @@ router.get("/stats", authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/events/:id/history/:revisionId/revert - Restore the event to the
+// state recorded by a revision (admin only)
+router.post(
+  "/:id/history/:revisionId/revert",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const eventId = parseId(req.params.id);
+      const revisionId = parseId(req.params.revisionId);
+      if (!eventId || !revisionId) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid event or revision ID",
+        });
+      }
+
+      const revision = await findRevision(eventId, revisionId);
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: "Revision not found",
+        });
+      }
+
+      if (!revision.after || revision.action === "delete") {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot revert to a deletion",
+        });
+      }
+
+      // The recorded values are checked as an update would be, so a type
+      // renamed or merged away since is not brought back
+      const recorded = {};
+      for (const field of EVENT_FIELDS) {
+        if (field in revision.after) recorded[field] = revision.after[field];
+      }
+      for (const field of ["date", "date_end"]) {
+        if (recorded[field]) recorded[field] = toDay(recorded[field]);
+      }
+      const { values, error } = validateEventPayload(recorded, {
+        partial: true,
+        eventTypes: await loadEventTypes(),
+      });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot revert to revision ${revisionId}: ${error}`,
+        });
+      }
+
+      const reverted = await db.transaction(async (client) => {
+        const before = await loadEventSnapshot(client, eventId);
+        if (!before || before.deleted_at) return false;
+
+        // Revisions from before actors or sources existed leave them alone,
+        // and actors removed from the registry since are dropped
+        if (Array.isArray(revision.after.actors)) {
+          const index = await loadActorIndex(client);
+          const { links } = resolveActorLinks(
+            index,
+            revision.after.actors.map(({ id, role }) => ({
+              actor_id: id,
+              role,
+            }))
+          );
+          await setEventActors(client, eventId, links);
+        }
+        if (Array.isArray(revision.after.sources)) {
+          await setEventSources(client, eventId, revision.after.sources);
+        }
+        await applyEventUpdate(client, eventId, values);
+        await recordRevision(client, {
+          eventId,
+          action: "revert",
+          before,
+          after: await loadEventSnapshot(client, eventId),
+          userId: req.user.id,
+          comment: `Reverted to revision ${revisionId}`,
+        });
+        return true;
+      });
+
+      if (!reverted) {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
+
+      const event = await findEventById(eventId);
+
+      res.json({
+        success: true,
+        message: "Event reverted successfully",
+        data: { event },
+      });
+    } catch (error) {
+      console.error("Revert event error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
 module.exports = router;
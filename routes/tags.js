@@ -0,0 +1,422 @@
+const express = require("express");
+const db = require("../config/database");
+const { authenticateToken, requireRole } = require("../middleware/auth");
+const { parseId } = require("../utils/params");
+const {
+  checkDescription,
+  validatePayload,
+  findNameClash,
+  eventCountExpression,
+} = require("../utils/registries");
+const { visibilityCondition, canEditEvent } = require("../utils/eventWorkflow");
+const {
+  TAG_NAME_RULE,
+  normalizeTagName,
+  parseTagNames,
+  findTagsByName,
+  resolveTagsToAdd,
+  tagEvents,
+  untagEvents,
+} = require("../utils/tags");
+
+const router = express.Router();
+
+const MAX_BULK_EVENTS = 500;
+
+// Events carrying each tag
+const TAG_EVENTS =
+  "e.id IN (SELECT et.event_id FROM event_tags et WHERE et.tag_id = t.id)";
+
+// The tag with the number of its events `user` can see
+async function findTag(client, id, user) {
+  const params = [id];
+  const eventCount = eventCountExpression(TAG_EVENTS, user, params);
+  const result = await client.query(
+    `SELECT t.*, ${eventCount} FROM tags t WHERE t.id = $1`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+// Checks for the fields of a create or update body
+const TAG_CHECKS = {
+  name: (value) => {
+    const name = normalizeTagName(value);
+    return name
+      ? { value: name }
+      : { error: `name may only contain ${TAG_NAME_RULE}` };
+  },
+  description: checkDescription,
+};
+
+// GET /api/tags - List tags with how many active events carry each;
+// q narrows them to names containing the text
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { q } = req.query;
+    const params = [];
+    let where = "";
+    if (q !== undefined && String(q).trim()) {
+      params.push(`%${String(q).trim().toLowerCase()}%`);
+      where = "WHERE t.name LIKE $1";
+    }
+
+    const eventCount = eventCountExpression(TAG_EVENTS, req.user, params);
+    const result = await db.query(
+      `SELECT t.*, ${eventCount} FROM tags t ${where} ORDER BY t.name`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: { tags: result.rows },
+    });
+  } catch (error) {
+    console.error("Get tags error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// POST /api/tags/bulk - Add and remove tags on many events at once (admins
+// and editors). Admins create added tags that do not exist yet; editors use
+// existing ones.
+router.post(
+  "/bulk",
+  authenticateToken,
+  requireRole(["admin", "editor"]),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const eventIds = Array.isArray(body.event_ids)
+        ? [...new Set(body.event_ids.map(parseId))]
+        : [];
+      if (
+        eventIds.length === 0 ||
+        eventIds.length > MAX_BULK_EVENTS ||
+        !eventIds.every(Boolean)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `event_ids must list between 1 and ${MAX_BULK_EVENTS} event ids`,
+        });
+      }
+      if (body.add === undefined && body.remove === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "add or remove must list tag names",
+        });
+      }
+
+      const add =
+        body.add === undefined ? { names: [] } : parseTagNames(body.add, "add");
+      const remove =
+        body.remove === undefined
+          ? { names: [] }
+          : parseTagNames(body.remove, "remove");
+      const error = add.error || remove.error;
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      if (add.names.some((name) => remove.names.includes(name))) {
+        return res.status(400).json({
+          success: false,
+          message: "A tag cannot be both added and removed",
+        });
+      }
+
+      const outcome = await db.transaction(async (client) => {
+        // Only events the user can see may be tagged
+        const params = [...eventIds];
+        const visibility = visibilityCondition(req.user, (value) => {
+          params.push(value);
+          return `$${params.length}`;
+        });
+        const found = await client.query(
+          `
+          SELECT e.id, e.status, e.created_by FROM events e
+          WHERE e.id IN (${eventIds
+            .map((id, index) => `$${index + 1}`)
+            .join(", ")})
+            AND e.deleted_at IS NULL
+            ${visibility ? `AND ${visibility}` : ""}
+        `,
+          params
+        );
+        if (found.rows.length !== eventIds.length) {
+          const foundIds = new Set(found.rows.map((row) => row.id));
+          return {
+            status: 404,
+            message: `Events not found: ${eventIds
+              .filter((id) => !foundIds.has(id))
+              .join(", ")}`,
+          };
+        }
+
+        // ... and of those only the ones they may change
+        const locked = found.rows
+          .filter((event) => !canEditEvent(req.user, event))
+          .map((event) => event.id);
+        if (locked.length) {
+          return {
+            status: 403,
+            message: `Editors can only tag their own draft or rejected events: ${locked.join(
+              ", "
+            )}`,
+          };
+        }
+
+        const added = add.names.length
+          ? await resolveTagsToAdd(client, add.names, req.user)
+          : { tags: [] };
+        if (added.error) return { status: 400, message: added.error };
+        const removed = await findTagsByName(client, remove.names);
+        return {
+          linksAdded: await tagEvents(
+            client,
+            eventIds,
+            added.tags.map((tag) => tag.id),
+            req.user.id
+          ),
+          linksRemoved: await untagEvents(
+            client,
+            eventIds,
+            removed.map((tag) => tag.id)
+          ),
+        };
+      });
+
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Tags updated successfully",
+        data: {
+          events: eventIds.length,
+          links_added: outcome.linksAdded,
+          links_removed: outcome.linksRemoved,
+        },
+      });
+    } catch (error) {
+      console.error("Bulk tag error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// GET /api/tags/:id - Get a tag
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid tag ID",
+      });
+    }
+
+    const tag = await findTag(db, id, req.user);
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: "Tag not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { tag },
+    });
+  } catch (error) {
+    console.error("Get tag error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// POST /api/tags - Create a tag (admin only)
+router.post("/", authenticateToken, requireRole("admin"), async (req, res) => {
+  try {
+    const { values, error } = validatePayload(req.body, TAG_CHECKS);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const outcome = await db.transaction(async (client) => {
+      if (await findNameClash(client, "tags", values.name)) {
+        return { status: 409, message: "A tag with this name exists" };
+      }
+
+      await client.query(
+        "INSERT INTO tags (name, description, created_by) VALUES ($1, $2, $3)",
+        [values.name, values.description || null, req.user.id]
+      );
+      const [created] = await findTagsByName(client, [values.name]);
+      return { tag: await findTag(client, created.id, req.user) };
+    });
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Tag created successfully",
+      data: { tag: outcome.tag },
+    });
+  } catch (error) {
+    console.error("Create tag error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// PATCH /api/tags/:id - Rename or describe a tag (admin only). Tagged events
+// keep the tag under its new name.
+router.patch(
+  "/:id",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid tag ID",
+        });
+      }
+
+      const { values, error } = validatePayload(req.body, TAG_CHECKS, {
+        partial: true,
+      });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const outcome = await db.transaction(async (client) => {
+        if (!(await findTag(client, id, req.user))) {
+          return { status: 404, message: "Tag not found" };
+        }
+        if (
+          values.name &&
+          (await findNameClash(client, "tags", values.name, id))
+        ) {
+          return { status: 409, message: "A tag with this name exists" };
+        }
+
+        const fields = Object.keys(values);
+        const params = fields.map((field) => values[field]);
+        const assignments = fields.map(
+          (field, index) => `${field} = $${index + 1}`
+        );
+        assignments.push("updated_at = CURRENT_TIMESTAMP");
+        params.push(id);
+        await client.query(
+          `UPDATE tags SET ${assignments.join(", ")} WHERE id = $${
+            params.length
+          }`,
+          params
+        );
+        return { tag: await findTag(client, id, req.user) };
+      });
+
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Tag updated successfully",
+        data: { tag: outcome.tag },
+      });
+    } catch (error) {
+      console.error("Update tag error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// DELETE /api/tags/:id - Delete a tag and remove it from every event (admin
+// only)
+router.delete(
+  "/:id",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid tag ID",
+        });
+      }
+
+      const outcome = await db.transaction(async (client) => {
+        if (!(await findTag(client, id, req.user))) {
+          return { status: 404, message: "Tag not found" };
+        }
+        const untagged = await client.query(
+          "DELETE FROM event_tags WHERE tag_id = $1",
+          [id]
+        );
+        await client.query("DELETE FROM tags WHERE id = $1", [id]);
+        return { eventsUntagged: untagged.rowCount };
+      });
+
+      if (outcome.status) {
+        return res.status(outcome.status).json({
+          success: false,
+          message: outcome.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Tag deleted successfully",
+        data: { events_untagged: outcome.eventsUntagged },
+      });
+    } catch (error) {
+      console.error("Delete tag error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+module.exports = router;
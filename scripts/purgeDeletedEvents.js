@@ -0,0 +1,91 @@
+require("dotenv").config();
+
+const db = require("../config/database");
+const { recordRevision } = require("../utils/eventRevisions");
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Permanently remove events that have been in the trash for longer than the
+// retention window. A "purge" revision keeps the final snapshot in the audit
+// trail. Duplicates merged into another event are kept until that event is
+// purged too, as its history lists their revisions.
+async function purgeDeletedEvents({
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  dryRun = false,
+} = {}) {
+  // Compare in the database so the cutoff uses the same clock as deleted_at
+  const cutoff =
+    db.type === "postgresql"
+      ? "CURRENT_TIMESTAMP - ($1 * INTERVAL '1 day')"
+      : "datetime('now', '-' || $1 || ' days')";
+
+  const expired = await db.query(
+    `
+    SELECT * FROM events
+    WHERE deleted_at IS NOT NULL AND deleted_at < ${cutoff}
+      AND (
+        merged_into_id IS NULL
+        OR merged_into_id IN (
+          SELECT id FROM events
+          WHERE deleted_at IS NOT NULL AND deleted_at < ${cutoff}
+        )
+      )
+    ORDER BY id
+  `,
+    [retentionDays]
+  );
+
+  if (!dryRun) {
+    for (const event of expired.rows) {
+      await db.transaction(async (client) => {
+        // Duplicates merged into this event keep pointing at it, which would
+        // block the delete
+        await client.query(
+          "UPDATE events SET merged_into_id = NULL WHERE merged_into_id = $1",
+          [event.id]
+        );
+        await client.query("DELETE FROM events WHERE id = $1", [event.id]);
+        await recordRevision(client, {
+          eventId: event.id,
+          action: "purge",
+          before: event,
+          userId: null,
+          comment: `Purged after more than ${retentionDays} days in the trash`,
+        });
+      });
+    }
+  }
+
+  return expired.rows.map((event) => event.id);
+}
+
+// Usage: node scripts/purgeDeletedEvents.js [--days=90] [--dry-run]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const daysArg = args.find((arg) => arg.startsWith("--days="));
+  const retentionDays = parseInt(
+    daysArg ? daysArg.split("=")[1] : process.env.EVENT_RETENTION_DAYS
+  );
+  const dryRun = args.includes("--dry-run");
+
+  purgeDeletedEvents({
+    retentionDays: isNaN(retentionDays)
+      ? DEFAULT_RETENTION_DAYS
+      : retentionDays,
+    dryRun,
+  })
+    .then((ids) => {
+      console.log(
+        `${dryRun ? "Would purge" : "Purged"} ${ids.length} deleted event(s)${
+          ids.length ? `: ${ids.join(", ")}` : ""
+        }`
+      );
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Purge failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { purgeDeletedEvents };
@@ -7,6 +7,11 @@ require("dotenv").config();
 const { initializeDatabase } = require("./config/initDb");
 const authRoutes = require("./routes/auth");
 const eventsRoutes = require("./routes/events");
+const analyticsRoutes = require("./routes/analytics");
+const eventTypesRoutes = require("./routes/eventTypes");
+const actorsRoutes = require("./routes/actors");
+const tagsRoutes = require("./routes/tags");
+const commentsRoutes = require("./routes/comments");
 
 const app = express();
 
@@ -28,6 +33,7 @@ app.use(
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
+  skip: () => process.env.NODE_ENV === "test",
   message: {
     success: false,
     message: "Too many requests from this IP, please try again later.",
@@ -43,6 +49,7 @@ app.use(limiter);
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: process.env.NODE_ENV === "production" ? 5 : 50, // More lenient for development
+  skip: () => process.env.NODE_ENV === "test",
   message: {
     success: false,
     message: "Too many authentication attempts, please try again later.",
@@ -72,8 +79,9 @@ app.use(
         return callback(new Error('Not allowed by CORS'));
       }
     },
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: ["Link", "X-Total-Count"],
     credentials: true,
   })
 );
@@ -94,7 +102,12 @@ app.get("/health", (req, res) => {
 
 // API Routes
 app.use("/api/auth", authLimiter, authRoutes);
+app.use("/api/events/:id/comments", commentsRoutes);
 app.use("/api/events", eventsRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/event-types", eventTypesRoutes);
+app.use("/api/actors", actorsRoutes);
+app.use("/api/tags", tagsRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -140,7 +153,10 @@ async function startServer() {
   }
 }
 
-startServer();
+// Only listen when run directly; tests import the app
+if (require.main === module) {
+  startServer();
+}
 
 // Graceful shutdown
 process.on("SIGTERM", () => {
@@ -152,3 +168,5 @@ process.on("SIGINT", () => {
   console.log("SIGINT received, shutting down gracefully");
   process.exit(0);
 });
+
+module.exports = app;
@@ -1,6 +1,18 @@
 const request = require("supertest");
 const app = require("../server");
 const db = require("../config/database");
+const { initializeDatabase } = require("../config/initDb");
+const { purgeDeletedEvents } = require("../scripts/purgeDeletedEvents");
+const { parseCsv } = require("../utils/csv");
+
+// tests/setup.js points the suite at a fresh SQLite database
+beforeAll(async () => {
+  await initializeDatabase();
+}, 30000);
+
+afterAll((done) => {
+  db.pool.close(done);
+});
 
 describe("Authentication Endpoints", () => {
   beforeAll(async () => {
@@ -27,8 +39,7 @@ describe("Authentication Endpoints", () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data.user).toHaveProperty("username", "admin");
-      expect(response.body.data.tokens).toHaveProperty("access_token");
-      expect(response.body.data.tokens).toHaveProperty("refresh_token");
+      expect(response.body.data).toHaveProperty("token");
     });
 
     test("should reject invalid credentials", async () => {
@@ -61,7 +72,7 @@ describe("Authentication Endpoints", () => {
         username: "admin",
         password: "admin123",
       });
-      authToken = loginResponse.body.data.tokens.access_token;
+      authToken = loginResponse.body.data.token;
     });
 
     test("should return user info with valid token", async () => {
@@ -102,7 +113,7 @@ describe("Events Endpoints", () => {
       username: "admin",
       password: "admin123",
     });
-    authToken = loginResponse.body.data.tokens.access_token;
+    authToken = loginResponse.body.data.token;
   });
 
   afterAll(async () => {
@@ -144,6 +155,166 @@ describe("Events Endpoints", () => {
       expect(response.body.data.pagination).toHaveProperty("limit", 5);
     });
 
+    test("should page through events with cursors", async () => {
+      const full = await request(app)
+        .get("/api/events?limit=1000")
+        .set("Authorization", `Bearer ${authToken}`);
+      const expectedIds = full.body.data.events.map((e) => e.id);
+
+      const seenIds = [];
+      let cursor = "";
+      let response;
+      do {
+        response = await request(app)
+          .get(`/api/events?limit=3&cursor=${cursor}`)
+          .set("Authorization", `Bearer ${authToken}`);
+        expect(response.status).toBe(200);
+        expect(response.body.data.pagination).not.toHaveProperty("total");
+        seenIds.push(...response.body.data.events.map((e) => e.id));
+        cursor = response.body.data.pagination.next_cursor;
+      } while (cursor);
+
+      expect(seenIds).toEqual(expectedIds);
+      expect(response.body.data.events[0]).not.toHaveProperty("cursor_date");
+
+      // Walking back from the last page returns the page before it
+      if (expectedIds.length > 3) {
+        const previous = await request(app)
+          .get(
+            `/api/events?limit=3&cursor=${response.body.data.pagination.prev_cursor}`
+          )
+          .set("Authorization", `Bearer ${authToken}`);
+        const lastPageStart = seenIds.indexOf(response.body.data.events[0].id);
+        expect(previous.body.data.events.map((e) => e.id)).toEqual(
+          seenIds.slice(Math.max(lastPageStart - 3, 0), lastPageStart)
+        );
+      }
+    });
+
+    test("should make the total optional", async () => {
+      const cursorResponse = await request(app)
+        .get("/api/events?cursor=&limit=2&include_total=true")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(typeof cursorResponse.body.data.pagination.total).toBe("number");
+
+      const pageResponse = await request(app)
+        .get("/api/events?page=1&limit=2&include_total=false")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(pageResponse.body.data.pagination).not.toHaveProperty("total");
+    });
+
+    test("should reject an invalid cursor", async () => {
+      const response = await request(app)
+        .get("/api/events?cursor=not-a-cursor")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should reject an invalid page or limit", async () => {
+      for (const query of [
+        "page=abc",
+        "page=0",
+        "limit=abc",
+        "limit=1001",
+        "cursor=&limit=abc",
+      ]) {
+        const response = await request(app)
+          .get(`/api/events?${query}`)
+          .set("Authorization", `Bearer ${authToken}`);
+        expect(response.status).toBe(400);
+      }
+    });
+
+    test("should filter by several countries with exact matching", async () => {
+      const response = await request(app)
+        .get("/api/events?country=SYRIA,Ukraine&match=exact&limit=100")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      response.body.data.events.forEach((event) => {
+        expect(["Syria", "Ukraine"]).toContain(event.country);
+      });
+
+      const partial = await request(app)
+        .get("/api/events?country=syr&match=exact")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(partial.body.data.events).toHaveLength(0);
+    });
+
+    test("should filter by fatality range and creator", async () => {
+      const response = await request(app)
+        .get(
+          "/api/events?min_fatalities=10&max_fatalities=30&created_by=admin&limit=100"
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      response.body.data.events.forEach((event) => {
+        expect(event.fatalities).toBeGreaterThanOrEqual(10);
+        expect(event.fatalities).toBeLessThanOrEqual(30);
+        expect(event.created_by_username).toBe("admin");
+      });
+
+      const invalid = await request(app)
+        .get("/api/events?min_fatalities=5&max_fatalities=1")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(invalid.status).toBe(400);
+    });
+
+    test("should sort by several keys", async () => {
+      const response = await request(app)
+        .get("/api/events?sort=-fatalities,date&limit=100")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const fatalities = response.body.data.events.map((e) => e.fatalities);
+      expect(fatalities).toEqual([...fatalities].sort((a, b) => b - a));
+    });
+
+    test("should return only the requested fields", async () => {
+      const response = await request(app)
+        .get("/api/events?fields=country,date&limit=5")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      response.body.data.events.forEach((event) => {
+        expect(Object.keys(event).sort()).toEqual(["country", "date", "id"]);
+      });
+
+      const invalid = await request(app)
+        .get("/api/events?fields=country,password_hash")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(invalid.status).toBe(400);
+    });
+
+    test("should embed the creator and revision count", async () => {
+      const response = await request(app)
+        .get("/api/events?fields=id&include=creator,revision_count&limit=1")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const [event] = response.body.data.events;
+      expect(typeof event.revision_count).toBe("number");
+      if (event.creator) {
+        expect(event.creator).toHaveProperty("username");
+        expect(event.creator).not.toHaveProperty("password_hash");
+      }
+
+      const invalid = await request(app)
+        .get("/api/events?include=password")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(invalid.status).toBe(400);
+    });
+
+    test("should reject unknown sort keys", async () => {
+      const response = await request(app)
+        .get("/api/events?sort=password")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
     test("should reject unauthenticated requests", async () => {
       const response = await request(app).get("/api/events");
 
@@ -212,6 +383,143 @@ describe("Events Endpoints", () => {
       expect(response.status).toBe(422);
       expect(response.body.success).toBe(false);
     });
+
+    test("should only accept types from the taxonomy", async () => {
+      const eventData = {
+        country: "Taxonomy Country",
+        fatalities: 1,
+        date: "2024-01-15",
+        description: "Event used to check event type validation",
+      };
+
+      const unknown = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ ...eventData, event_type: "Alien Invasion" });
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.message).toBe("Unknown event type: Alien Invasion");
+
+      const subType = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ ...eventData, event_type: "military action" });
+      expect(subType.status).toBe(201);
+      expect(subType.body.data.event.event_type).toBe("Military Action");
+
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [
+        subType.body.data.event.id,
+      ]);
+      await db.query("DELETE FROM events WHERE id = ?", [
+        subType.body.data.event.id,
+      ]);
+    });
+
+    test("should keep fatality estimates in order", async () => {
+      const eventData = {
+        country: "Casualty Country",
+        event_type: "Armed Conflict",
+        fatalities: 10,
+        date: "2024-01-15",
+        description: "Event used to check casualty estimates",
+      };
+
+      const reversed = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ ...eventData, fatalities_low: 12 });
+      expect(reversed.status).toBe(400);
+      expect(reversed.body.message).toBe(
+        "fatalities_low cannot be greater than fatalities"
+      );
+
+      const created = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          ...eventData,
+          fatalities_low: 8,
+          fatalities_high: 15,
+          fatalities_civilian: 6,
+          injured: 20,
+        });
+      expect(created.status).toBe(201);
+      expect(created.body.data.event).toMatchObject({
+        fatalities_low: 8,
+        fatalities_high: 15,
+        fatalities_civilian: 6,
+        fatalities_combatant: null,
+        injured: 20,
+      });
+      const eventId = created.body.data.event.id;
+
+      // A partial update is checked against the stored estimates
+      const aboveHigh = await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ fatalities: 16 });
+      expect(aboveHigh.status).toBe(400);
+
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [
+        eventId,
+      ]);
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    });
+
+    test("should store imprecise dates as a span", async () => {
+      const eventData = {
+        country: "Timing Country",
+        event_type: "Armed Conflict",
+        fatalities: 2,
+        description: "Event used to check date precision",
+      };
+
+      const monthly = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ ...eventData, date: "2024-03-15", date_precision: "month" });
+      expect(monthly.status).toBe(201);
+      expect(monthly.body.data.event).toMatchObject({
+        date: "2024-03-15",
+        date_end: "2024-03-31",
+        date_precision: "month",
+      });
+
+      const reversed = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ ...eventData, date: "2024-03-15", date_end: "2024-03-10" });
+      expect(reversed.status).toBe(400);
+
+      // The month overlaps 10-20 March but is not contained in it
+      const overlap = await request(app)
+        .get(
+          "/api/events?country=Timing%20Country&start_date=2024-03-10&end_date=2024-03-20"
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(overlap.body.data.events).toHaveLength(1);
+      const contained = await request(app)
+        .get(
+          "/api/events?country=Timing%20Country&start_date=2024-03-10&end_date=2024-03-20&date_mode=contained"
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(contained.body.data.events).toHaveLength(0);
+
+      const eventId = monthly.body.data.event.id;
+      const narrowed = await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ date_precision: "day" });
+      expect(narrowed.body.data.event).toMatchObject({
+        date: "2024-03-15",
+        date_end: null,
+        date_precision: "day",
+      });
+
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [
+        eventId,
+      ]);
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    });
   });
 
   describe("GET /api/events/stats", () => {
@@ -226,6 +534,2094 @@ describe("Events Endpoints", () => {
       expect(response.body.data).toHaveProperty("by_country");
       expect(response.body.data).toHaveProperty("by_type");
     });
+
+    test("should apply the list filters", async () => {
+      const response = await request(app)
+        .get("/api/events/stats?country=Syria&match=exact")
+        .set("Authorization", `Bearer ${authToken}`);
+      const list = await request(app)
+        .get("/api/events?country=Syria&match=exact&limit=1")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(Number(response.body.data.overall.total_events)).toBe(
+        list.body.data.pagination.total
+      );
+      response.body.data.by_country.forEach((row) => {
+        expect(row.country).toBe("Syria");
+      });
+    });
+
+    test("should limit countries to top_n with a country x type breakdown", async () => {
+      const response = await request(app)
+        .get("/api/events/stats?top_n=2")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.by_country.length).toBeLessThanOrEqual(2);
+      const countries = response.body.data.by_country.map((r) => r.country);
+      response.body.data.by_country_type.forEach((row) => {
+        expect(countries).toContain(row.country);
+        expect(row).toHaveProperty("event_type");
+      });
+
+      const invalid = await request(app)
+        .get("/api/events/stats?top_n=0")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(invalid.status).toBe(400);
+    });
+
+    test("should total the requested casualty measures", async () => {
+      const response = await request(app)
+        .get(
+          "/api/events/stats?measures=fatalities_low,fatalities,fatalities_high,injured"
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const { overall, by_region } = response.body.data;
+      expect(Number(overall.total_fatalities_low)).toBeLessThanOrEqual(
+        Number(overall.total_fatalities)
+      );
+      expect(Number(overall.total_fatalities)).toBeLessThanOrEqual(
+        Number(overall.total_fatalities_high)
+      );
+      expect(by_region[0]).toHaveProperty("total_injured");
+
+      const invalid = await request(app)
+        .get("/api/events/stats?measures=deaths")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe("GET /api/events/stats/timeseries", () => {
+    test("should return zero-filled buckets", async () => {
+      const response = await request(app)
+        .get(
+          "/api/events/stats/timeseries?interval=week&start_date=2024-01-01&end_date=2024-03-31"
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const { buckets } = response.body.data;
+      expect(buckets[0].period).toBe("2024-01-01");
+      expect(buckets).toHaveLength(13);
+      buckets.forEach((bucket) => {
+        expect(typeof bucket.events).toBe("number");
+        expect(typeof bucket.fatalities).toBe("number");
+      });
+    });
+
+    test("should match the filtered event totals", async () => {
+      const series = await request(app)
+        .get("/api/events/stats/timeseries?interval=year&country=Syria")
+        .set("Authorization", `Bearer ${authToken}`);
+      const list = await request(app)
+        .get("/api/events?country=Syria&limit=1")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      const events = series.body.data.buckets.reduce(
+        (sum, bucket) => sum + bucket.events,
+        0
+      );
+      expect(events).toBe(list.body.data.pagination.total);
+    });
+
+    test("should place spanning events by date_basis", async () => {
+      const created = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          country: "Basis Country",
+          event_type: "Armed Conflict",
+          fatalities: 4,
+          date: "2024-05-20",
+          date_end: "2024-07-10",
+          description: "Event spanning several months",
+        });
+      expect(created.status).toBe(201);
+
+      const periods = {};
+      for (const basis of ["start", "midpoint", "end"]) {
+        const response = await request(app)
+          .get(
+            `/api/events/stats/timeseries?interval=month&country=Basis%20Country&date_basis=${basis}`
+          )
+          .set("Authorization", `Bearer ${authToken}`);
+        expect(response.status).toBe(200);
+        periods[basis] = response.body.data.buckets.map(
+          (bucket) => bucket.period
+        );
+      }
+      expect(periods).toEqual({
+        start: ["2024-05-01"],
+        midpoint: ["2024-06-01"],
+        end: ["2024-07-01"],
+      });
+
+      const eventId = created.body.data.event.id;
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [
+        eventId,
+      ]);
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    });
+
+    test("should reject an unknown interval", async () => {
+      const response = await request(app)
+        .get("/api/events/stats/timeseries?interval=hour")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("GET /api/events/export", () => {
+    test("should stream filtered events as CSV", async () => {
+      const response = await request(app)
+        .get("/api/events/export?country=Syria")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("text/csv");
+      expect(response.headers["content-disposition"]).toMatch(
+        /attachment; filename="events-.*\.csv"/
+      );
+      expect(response.headers["x-data-attribution"]).toBeDefined();
+
+      const [header, ...rows] = response.text.trim().split("\r\n");
+      expect(header.split(",")).toContain("country");
+      rows.forEach((row) => expect(row).toContain("Syria"));
+    });
+
+    test("should stream NDJSON", async () => {
+      const response = await request(app)
+        .get("/api/events/export?format=ndjson")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const lines = response.text.trim().split("\n");
+      expect(JSON.parse(lines[0])).toHaveProperty("event_type");
+    });
+
+    test("should keep formulas out of CSV cells", async () => {
+      const created = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          country: "Formula Country",
+          event_type: "Armed Conflict",
+          fatalities: 1,
+          date: "2024-02-10",
+          description: "=HYPERLINK(1) in the event notes",
+          latitude: 12.5,
+          longitude: -3.25,
+        });
+      expect(created.status).toBe(201);
+
+      const response = await request(app)
+        .get("/api/events/export?country=Formula%20Country")
+        .set("Authorization", `Bearer ${authToken}`);
+      const [header, row] = response.text.trim().split("\r\n");
+      const columns = header.split(",");
+      const cells = row.split(",");
+      expect(cells[columns.indexOf("description")]).toBe(
+        "'=HYPERLINK(1) in the event notes"
+      );
+      expect(cells[columns.indexOf("longitude")]).toBe("-3.25");
+      expect(cells[columns.indexOf("date")]).toBe("2024-02-10");
+
+      const eventId = created.body.data.event.id;
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [
+        eventId,
+      ]);
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    });
+
+    test("should reject unknown formats", async () => {
+      const response = await request(app)
+        .get("/api/events/export?format=xlsx")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /api/events/import", () => {
+    const csv = [
+      "country,event_type,fatalities,date,description",
+      'Import Country,Armed Conflict,4,2024-09-01,"Clashes near the border, two villages"',
+      'Import Country,Armed Conflict,4,2024-09-01,"Clashes near the border, two villages"',
+      "Import Country,Invalid Type,-1,2024-13-01,short",
+    ].join("\n");
+
+    afterAll(async () => {
+      await db.query("DELETE FROM events WHERE country = ?", [
+        "Import Country",
+      ]);
+    });
+
+    test("should report per-row results in dry-run mode", async () => {
+      const response = await request(app)
+        .post("/api/events/import")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Content-Type", "text/csv")
+        .send(csv);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.mode).toBe("dry-run");
+      expect(response.body.data.summary).toMatchObject({
+        total: 3,
+        valid: 1,
+        created: 0,
+        skipped: 1,
+        rejected: 1,
+      });
+      expect(response.body.data.rows[2].errors.length).toBeGreaterThan(0);
+    });
+
+    test("should insert valid rows in commit mode", async () => {
+      const response = await request(app)
+        .post("/api/events/import?mode=commit")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Content-Type", "text/csv")
+        .send(csv);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.summary.created).toBe(1);
+      expect(response.body.data.rows[0]).toHaveProperty("event_id");
+    });
+
+    test("should accept a JSON array and skip existing events", async () => {
+      const response = await request(app)
+        .post("/api/events/import?mode=commit")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send([
+          {
+            country: "Import Country",
+            event_type: "Armed Conflict",
+            fatalities: 4,
+            date: "2024-09-01",
+            description: "Clashes near the border, two villages",
+          },
+        ]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary.skipped).toBe(1);
+    });
+  });
+
+  describe("ACLED and UCDP-GED formats", () => {
+    const acledCsv = [
+      "event_id_cnty,event_date,year,event_type,actor1,actor2,country,latitude,longitude,notes,fatalities",
+      'ACL1,12 March 2024,2024,Battles,Army,Rebels,Acled Country,15.45,45.32,"Clashes near the city, heavy shelling",7',
+      "ACL2,13 March 2024,2024,Explosions/Remote violence,Army,,Acled Country,15.45,45.32,Airstrike on a depot,3",
+      "ACL3,14 March 2024,2024,Violence against civilians,Rebels,,Acled Country,15.45,45.32,Villagers attacked,2",
+      "ACL4,15 March 2024,2024,Protests,,,Acled Country,15.45,45.32,March through the centre,0",
+      "ACL5,16 March 2024,2024,Riots,,,Acled Country,15.45,45.32,Shops looted after the march,1",
+      "ACL6,17 March 2024,2024,Strategic developments,Army,,Acled Country,15.45,45.32,Troops redeployed,0",
+    ].join("\n");
+
+    afterAll(async () => {
+      await db.query("DELETE FROM events WHERE country IN (?, ?, ?, ?)", [
+        "Acled Country",
+        "Acled Timing Country",
+        "Ucdp Country",
+        "Ucdp Copy Country",
+      ]);
+    });
+
+    test("should import an ACLED file", async () => {
+      const response = await request(app)
+        .post("/api/events/import?schema=acled&mode=commit")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Content-Type", "text/csv")
+        .send(acledCsv);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.summary.created).toBe(6);
+
+      const eventResponse = await request(app)
+        .get(`/api/events/${response.body.data.rows[0].event_id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(eventResponse.body.data.event).toMatchObject({
+        event_type: "Armed Conflict",
+        date: "2024-03-12",
+        fatalities: 7,
+      });
+    });
+
+    test("should round-trip an ACLED export", async () => {
+      const exportResponse = await request(app)
+        .get("/api/events/export?schema=acled&country=Acled%20Country")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(exportResponse.status).toBe(200);
+      // The dataset's own ids and types come back rather than ours
+      const pick = (rows) =>
+        rows.map(({ event_id_cnty, event_type }) => ({
+          event_id_cnty,
+          event_type,
+        }));
+      expect(pick(parseCsv(exportResponse.text))).toEqual(
+        pick(parseCsv(acledCsv))
+      );
+
+      const importResponse = await request(app)
+        .post("/api/events/import?schema=acled")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Content-Type", "text/csv")
+        .send(exportResponse.text);
+
+      expect(importResponse.body.data.summary).toMatchObject({
+        rejected: 0,
+        skipped: 6,
+      });
+    });
+
+    test("should export ACLED week and month dates as imported", async () => {
+      const rows = [
+        { event_date: "2024-01-17", time_precision: 2, fatalities: 1 },
+        { event_date: "2024-02-20", time_precision: 3, fatalities: 2 },
+      ].map((row) => ({
+        ...row,
+        event_type: "Battles",
+        country: "Acled Timing Country",
+        notes: "Clashes reported during the period",
+      }));
+      const importResponse = await request(app)
+        .post("/api/events/import?schema=acled&mode=commit")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send(rows);
+      expect(importResponse.body.data.summary.created).toBe(2);
+
+      const exportResponse = await request(app)
+        .get(
+          "/api/events/export?schema=acled&format=ndjson&country=Acled%20Timing%20Country&sort=date"
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+      const exported = exportResponse.text
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+      expect(
+        exported.map(({ event_date, time_precision }) => ({
+          event_date,
+          time_precision,
+        }))
+      ).toEqual(
+        rows.map(({ event_date, time_precision }) => ({
+          event_date,
+          time_precision,
+        }))
+      );
+
+      const reimport = await request(app)
+        .post("/api/events/import?schema=acled")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send(rows);
+      expect(reimport.body.data.summary.skipped).toBe(2);
+    });
+
+    test("should import UCDP-GED rows", async () => {
+      const response = await request(app)
+        .post("/api/events/import?schema=ucdp&mode=commit")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send([
+          {
+            id: 1,
+            type_of_violence: 1,
+            side_a: "Government",
+            side_b: "Rebels",
+            country: "Ucdp Country",
+            latitude: 35.9,
+            longitude: 39.0,
+            date_start: "2024-02-01",
+            best: 12,
+            deaths_a: 3,
+            deaths_b: 4,
+            deaths_civilians: 5,
+            source_headline: "Fighting reported near the provincial capital",
+          },
+        ]);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.summary.created).toBe(1);
+    });
+
+    test("should round-trip UCDP-GED casualty counts", async () => {
+      const exportResponse = await request(app)
+        .get(
+          "/api/events/export?schema=ucdp&format=ndjson&country=Ucdp%20Country"
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(exportResponse.status).toBe(200);
+      const [row] = exportResponse.text
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+      expect(row).toMatchObject({ id: "1", deaths_a: 7, deaths_civilians: 5 });
+
+      const importResponse = await request(app)
+        .post("/api/events/import?schema=ucdp&mode=commit")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send([{ ...row, country: "Ucdp Copy Country" }]);
+      expect(importResponse.status).toBe(201);
+
+      const eventResponse = await request(app)
+        .get(`/api/events/${importResponse.body.data.rows[0].event_id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(eventResponse.body.data.event).toMatchObject({
+        fatalities: 12,
+        fatalities_combatant: 7,
+        fatalities_civilian: 5,
+      });
+    });
+
+    test("should reject unknown schemas", async () => {
+      const response = await request(app)
+        .get("/api/events/export?schema=unknown")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("GET/PUT/PATCH/DELETE /api/events/:id", () => {
+    let eventId;
+    let userToken;
+
+    beforeAll(async () => {
+      const createResponse = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          country: "Lifecycle Country",
+          event_type: "Armed Conflict",
+          fatalities: 3,
+          date: "2024-03-01",
+          description: "Event used by the lifecycle tests",
+        });
+      eventId = createResponse.body.data.event.id;
+
+      const loginResponse = await request(app).post("/api/auth/login").send({
+        username: "user",
+        password: "user123",
+      });
+      userToken = loginResponse.body.data.token;
+    });
+
+    afterAll(async () => {
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    });
+
+    test("should return a single event", async () => {
+      const response = await request(app)
+        .get(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.event).toHaveProperty("id", eventId);
+    });
+
+    test("should return 404 for a missing event", async () => {
+      const response = await request(app)
+        .get("/api/events/999999")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+
+    test("should patch selected fields", async () => {
+      const response = await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ fatalities: 7 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.event.fatalities).toBe(7);
+      expect(response.body.data.event.country).toBe("Lifecycle Country");
+    });
+
+    test("should replace an event with PUT", async () => {
+      const response = await request(app)
+        .put(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          country: "Lifecycle Country",
+          event_type: "Civil Unrest",
+          date: "2024-03-02",
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.event.event_type).toBe("Civil Unrest");
+      expect(response.body.data.event.fatalities).toBe(0);
+    });
+
+    test("should validate updates like creates", async () => {
+      const response = await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ date: "not-a-date" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test("should reject updates from non-admin users", async () => {
+      const response = await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ fatalities: 1 });
+
+      expect(response.status).toBe(403);
+    });
+
+    test("should move a deleted event to the trash", async () => {
+      const response = await request(app)
+        .delete(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+
+      const userResponse = await request(app)
+        .get(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(userResponse.status).toBe(404);
+
+      const adminResponse = await request(app)
+        .get(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(adminResponse.status).toBe(200);
+      expect(adminResponse.body.data.event.deleted_at).toBeTruthy();
+    });
+
+    test("should exclude deleted events from the list", async () => {
+      const response = await request(app)
+        .get("/api/events?country=Lifecycle&limit=100")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.body.data.events.map((e) => e.id)).not.toContain(eventId);
+    });
+
+    test("should list the trash for admins only", async () => {
+      const adminResponse = await request(app)
+        .get("/api/events?include_deleted=only&limit=100")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(adminResponse.status).toBe(200);
+      expect(adminResponse.body.data.events.map((e) => e.id)).toContain(
+        eventId
+      );
+
+      const userResponse = await request(app)
+        .get("/api/events?include_deleted=only")
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(userResponse.status).toBe(403);
+    });
+
+    test("should restore a deleted event", async () => {
+      const response = await request(app)
+        .post(`/api/events/${eventId}/restore`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.event.deleted_at).toBeNull();
+    });
+  });
+
+  describe("Spatial filters", () => {
+    let eventId;
+
+    beforeAll(async () => {
+      const createResponse = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          country: "Spatial Country",
+          event_type: "Armed Conflict",
+          fatalities: 1,
+          date: "2024-05-01",
+          description: "Event located in Kabul",
+          latitude: 34.5553,
+          longitude: 69.2075,
+        });
+      eventId = createResponse.body.data.event.id;
+    });
+
+    afterAll(async () => {
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    });
+
+    test("should persist coordinates", async () => {
+      const response = await request(app)
+        .get(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.body.data.event.latitude).toBeCloseTo(34.5553);
+      expect(response.body.data.event.longitude).toBeCloseTo(69.2075);
+    });
+
+    test("should filter by bounding box", async () => {
+      const inside = await request(app)
+        .get("/api/events?bbox=69,34,70,35&limit=100")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(inside.status).toBe(200);
+      expect(inside.body.data.events.map((e) => e.id)).toContain(eventId);
+
+      const outside = await request(app)
+        .get("/api/events?bbox=10,10,11,11&limit=100")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(outside.body.data.events.map((e) => e.id)).not.toContain(eventId);
+    });
+
+    test("should filter by radius and report the distance", async () => {
+      const response = await request(app)
+        .get("/api/events?near=34.5,69.2&radius_km=25&limit=100")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const event = response.body.data.events.find((e) => e.id === eventId);
+      expect(event).toBeDefined();
+      expect(event.distance_km).toBeLessThan(25);
+    });
+
+    test("should return GeoJSON with format=geojson", async () => {
+      const response = await request(app)
+        .get("/api/events?format=geojson&country=Spatial&limit=1")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain(
+        "application/geo+json"
+      );
+      expect(response.headers.link).toContain('rel="first"');
+      expect(response.headers["x-total-count"]).toBeDefined();
+      expect(response.body.type).toBe("FeatureCollection");
+      expect(response.body.features[0].geometry).toEqual({
+        type: "Point",
+        coordinates: [69.2075, 34.5553],
+      });
+      expect(response.body.features[0].properties.country).toBe(
+        "Spatial Country"
+      );
+    });
+
+    test("should return GeoJSON when the Accept header asks for it", async () => {
+      const response = await request(app)
+        .get("/api/events?country=Spatial")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Accept", "application/geo+json");
+
+      expect(response.status).toBe(200);
+      expect(response.body.type).toBe("FeatureCollection");
+    });
+
+    test("should reject malformed spatial filters", async () => {
+      const response = await request(app)
+        .get("/api/events?bbox=1,2,3")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Full-text search", () => {
+    let eventId;
+
+    beforeAll(async () => {
+      const createResponse = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          country: "Search Country",
+          event_type: "Armed Conflict",
+          fatalities: 0,
+          date: "2024-06-01",
+          description: "Mortar shelling reported near Zyphoria checkpoint",
+        });
+      eventId = createResponse.body.data.event.id;
+    });
+
+    afterAll(async () => {
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [
+        eventId,
+      ]);
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    });
+
+    test("should find events by word with a highlighted snippet", async () => {
+      const response = await request(app)
+        .get("/api/events?q=zyphoria")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events.map((e) => e.id)).toEqual([eventId]);
+      expect(response.body.data.events[0].search_snippet).toContain(
+        "<mark>Zyphoria</mark>"
+      );
+      expect(response.body.data.events[0]).toHaveProperty("search_rank");
+    });
+
+    test("should support phrase and prefix queries", async () => {
+      const phrase = await request(app)
+        .get(`/api/events?q=${encodeURIComponent('"mortar shelling"')}`)
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(phrase.body.data.events.map((e) => e.id)).toContain(eventId);
+
+      const reversed = await request(app)
+        .get(`/api/events?q=${encodeURIComponent('"shelling mortar"')}`)
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(reversed.body.data.events.map((e) => e.id)).not.toContain(eventId);
+
+      const prefix = await request(app)
+        .get("/api/events?q=zyph*")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(prefix.body.data.events.map((e) => e.id)).toContain(eventId);
+    });
+
+    test("should reflect description updates", async () => {
+      await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ description: "Airstrike reported near Quorvale" });
+
+      const oldTerm = await request(app)
+        .get("/api/events?q=zyphoria")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(oldTerm.body.data.events).toHaveLength(0);
+
+      const newTerm = await request(app)
+        .get("/api/events?q=quorvale")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(newTerm.body.data.events.map((e) => e.id)).toEqual([eventId]);
+    });
+
+    test("should reject a query without search terms", async () => {
+      const response = await request(app)
+        .get(`/api/events?q=${encodeURIComponent('" * "')}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Country normalization", () => {
+    let eventId;
+
+    afterAll(async () => {
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [
+        eventId,
+      ]);
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    });
+
+    test("should store the reference name and ISO code", async () => {
+      const response = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          country: "Syrian Arab Republic ",
+          event_type: "Armed Conflict",
+          fatalities: 1,
+          date: "2024-07-01",
+          description: "Event used by the country tests",
+        });
+      eventId = response.body.data.event.id;
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.event.country).toBe("Syria");
+      expect(response.body.data.event.country_code).toBe("SYR");
+    });
+
+    test("should keep unrecognised countries without a code", async () => {
+      const response = await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ country: "Atlantis" });
+
+      expect(response.body.data.event.country).toBe("Atlantis");
+      expect(response.body.data.event.country_code).toBeNull();
+
+      await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ country: "SY" });
+    });
+
+    test("should filter by country code, region and subregion", async () => {
+      const byCode = await request(app)
+        .get("/api/events?country_code=SYR&limit=100")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(byCode.body.data.events.map((e) => e.id)).toContain(eventId);
+      byCode.body.data.events.forEach((event) => {
+        expect(event.country_code).toBe("SYR");
+      });
+
+      const byRegion = await request(app)
+        .get("/api/events?region=Asia&subregion=Western Asia&limit=100")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(byRegion.body.data.events.map((e) => e.id)).toContain(eventId);
+
+      const elsewhere = await request(app)
+        .get("/api/events?region=Europe&limit=100")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(elsewhere.body.data.events.map((e) => e.id)).not.toContain(
+        eventId
+      );
+
+      const invalid = await request(app)
+        .get("/api/events?country_code=ZZZ")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(invalid.status).toBe(400);
+    });
+
+    test("should report stats by region", async () => {
+      const response = await request(app)
+        .get("/api/events/stats?country_code=SYR")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.by_country).toHaveLength(1);
+      expect(response.body.data.by_region[0].region).toBe("Asia");
+      expect(response.body.data.by_subregion[0].subregion).toBe("Western Asia");
+    });
+  });
+
+  describe("Event revision history", () => {
+    let eventId;
+
+    beforeAll(async () => {
+      const createResponse = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          country: "History Country",
+          event_type: "Armed Conflict",
+          fatalities: 2,
+          date: "2024-04-01",
+          description: "Event used by the history tests",
+        });
+      eventId = createResponse.body.data.event.id;
+
+      await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ fatalities: 5 });
+    });
+
+    afterAll(async () => {
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [
+        eventId,
+      ]);
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    });
+
+    test("should record create and update revisions", async () => {
+      const response = await request(app)
+        .get(`/api/events/${eventId}/history`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const actions = response.body.data.revisions.map((r) => r.action);
+      expect(actions).toEqual(["update", "create"]);
+      expect(response.body.data.revisions[0].changes.fatalities).toEqual({
+        from: 2,
+        to: 5,
+      });
+      expect(response.body.data.revisions[0].changed_by_username).toBe("admin");
+    });
+
+    test("should revert to an earlier revision", async () => {
+      const historyResponse = await request(app)
+        .get(`/api/events/${eventId}/history`)
+        .set("Authorization", `Bearer ${authToken}`);
+      const createRevision = historyResponse.body.data.revisions.find(
+        (r) => r.action === "create"
+      );
+
+      const response = await request(app)
+        .post(`/api/events/${eventId}/history/${createRevision.id}/revert`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.event.fatalities).toBe(2);
+    });
+
+    test("should hide the history of a deleted event from non-admins", async () => {
+      const userLogin = await request(app).post("/api/auth/login").send({
+        username: "user",
+        password: "user123",
+      });
+      const userToken = userLogin.body.data.token;
+
+      await request(app)
+        .delete(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      const userResponse = await request(app)
+        .get(`/api/events/${eventId}/history`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(userResponse.status).toBe(404);
+
+      const adminResponse = await request(app)
+        .get(`/api/events/${eventId}/history`)
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(adminResponse.status).toBe(200);
+    });
+  });
+
+  describe("Event sources", () => {
+    let eventId;
+
+    afterAll(async () => {
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [
+        eventId,
+      ]);
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    });
+
+    test("should store sources and reject invalid ones", async () => {
+      const response = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          country: "Source Country",
+          event_type: "Armed Conflict",
+          fatalities: 1,
+          date: "2024-04-02",
+          description: "Event used by the source tests",
+          sources: [
+            {
+              url: "https://example.org/report",
+              publication: "Test Source Wire",
+              accessed_at: "2024-04-03",
+              reliability: "b",
+            },
+          ],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.event.sources).toEqual([
+        {
+          url: "https://example.org/report",
+          publication: "Test Source Wire",
+          accessed_at: "2024-04-03",
+          reliability: "B",
+        },
+      ]);
+      eventId = response.body.data.event.id;
+
+      const fetched = await request(app)
+        .get(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(fetched.body.data.event.sources).toEqual(
+        response.body.data.event.sources
+      );
+      const listed = await request(app)
+        .get("/api/events?country=Source Country")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(listed.body.data.events[0]).not.toHaveProperty("sources");
+
+      const invalid = await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ sources: [{ url: "ftp://example.org", reliability: "A" }] });
+      expect(invalid.status).toBe(400);
+
+      const ungraded = await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ sources: [{ publication: "Test Source Wire" }] });
+      expect(ungraded.status).toBe(400);
+    });
+
+    test("should filter by source and reliability", async () => {
+      const response = await request(app)
+        .get(
+          "/api/events?source=test source wire&reliability=A,B&include=sources,source_count&fields=id"
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events).toEqual([
+        expect.objectContaining({ id: eventId, source_count: 1 }),
+      ]);
+
+      const otherGrade = await request(app)
+        .get("/api/events?source=test source wire&reliability=E")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(otherGrade.body.data.pagination.total).toBe(0);
+
+      const invalid = await request(app)
+        .get("/api/events?reliability=Z")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(invalid.status).toBe(400);
+    });
+
+    test("should list unsourced events in the quality view", async () => {
+      const response = await request(app)
+        .get("/api/events/quality/unsourced?country=Source Country")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary).toEqual({
+        total_events: 1,
+        unsourced_events: 0,
+        unsourced_pct: 0,
+      });
+
+      await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ sources: [] });
+
+      const unsourced = await request(app)
+        .get("/api/events/quality/unsourced?country=Source Country")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(unsourced.body.data.summary.unsourced_pct).toBe(100);
+      expect(unsourced.body.data.events.map((event) => event.id)).toEqual([
+        eventId,
+      ]);
+    });
+  });
+
+  describe("Duplicate detection", () => {
+    const eventIds = [];
+
+    const createEvent = (event) =>
+      request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          country: "Duplicate Country",
+          event_type: "Armed Conflict",
+          ...event,
+        });
+
+    beforeAll(async () => {
+      for (const event of [
+        {
+          date: "2024-04-10",
+          fatalities: 10,
+          description: "Artillery shelling hit the central market",
+          sources: [{ publication: "Test Wire", reliability: "B" }],
+        },
+        {
+          date: "2024-04-11",
+          fatalities: 12,
+          description: "Shelling of the central market by artillery",
+          latitude: 10,
+          longitude: 20,
+          sources: [{ publication: "Other Wire", reliability: "C" }],
+        },
+        {
+          event_type: "Civil Unrest",
+          date: "2024-04-12",
+          fatalities: 0,
+          description: "Protest against rising bread prices",
+        },
+      ]) {
+        const response = await createEvent(event);
+        eventIds.push(response.body.data.event.id);
+      }
+    });
+
+    afterAll(async () => {
+      for (const id of eventIds) {
+        await db.query("DELETE FROM duplicate_dismissals WHERE event_id = ?", [
+          id,
+        ]);
+        await db.query("DELETE FROM event_revisions WHERE event_id = ?", [id]);
+        await db.query("UPDATE events SET merged_into_id = NULL WHERE id = ?", [
+          id,
+        ]);
+      }
+      for (const id of eventIds) {
+        await db.query("DELETE FROM events WHERE id = ?", [id]);
+      }
+    });
+
+    test("should suggest likely duplicates", async () => {
+      const response = await request(app)
+        .get("/api/events/duplicates?country=Duplicate Country")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.candidates).toHaveLength(1);
+      const [candidate] = response.body.data.candidates;
+      expect(candidate.events.map((event) => event.id)).toEqual(
+        eventIds.slice(0, 2)
+      );
+      expect(candidate.score).toBeGreaterThanOrEqual(0.6);
+      expect(candidate.signals.event_type).toBe(1);
+
+      const created = await createEvent({
+        date: "2024-04-10",
+        fatalities: 11,
+        description: "Artillery shelling hit the central market again",
+      });
+      eventIds.push(created.body.data.event.id);
+      expect(created.body.data.possible_duplicates.map(({ id }) => id)).toEqual(
+        expect.arrayContaining(eventIds.slice(0, 2))
+      );
+    });
+
+    test("should stop suggesting dismissed pairs", async () => {
+      const response = await request(app)
+        .post("/api/events/duplicates/dismiss")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ event_ids: [eventIds[3], eventIds[0]] });
+      expect(response.status).toBe(200);
+
+      const candidates = await request(app)
+        .get("/api/events/duplicates?country=Duplicate Country")
+        .set("Authorization", `Bearer ${authToken}`);
+      const pairs = candidates.body.data.candidates.map((candidate) =>
+        candidate.events.map((event) => event.id)
+      );
+      expect(pairs).not.toContainEqual([eventIds[0], eventIds[3]]);
+    });
+
+    test("should merge a duplicate with its sources and history", async () => {
+      const [keptId, duplicateId] = eventIds;
+      const response = await request(app)
+        .post(`/api/events/${keptId}/merge`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ duplicate_id: duplicateId });
+
+      expect(response.status).toBe(200);
+      const { event } = response.body.data;
+      expect(event.fatalities).toBe(10);
+      expect(event.latitude).toBe(10);
+      expect(event.sources.map((source) => source.publication)).toEqual([
+        "Test Wire",
+        "Other Wire",
+      ]);
+
+      const history = await request(app)
+        .get(`/api/events/${keptId}/history`)
+        .set("Authorization", `Bearer ${authToken}`);
+      const eventsInHistory = history.body.data.revisions.map(
+        (revision) => revision.event_id
+      );
+      expect(eventsInHistory).toEqual(
+        expect.arrayContaining([keptId, duplicateId])
+      );
+
+      const restore = await request(app)
+        .post(`/api/events/${duplicateId}/restore`)
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(restore.status).toBe(400);
+    });
+
+    test("should keep a merged duplicate while the kept event lives", async () => {
+      const [keptId, duplicateId] = eventIds;
+      await db.query(
+        "UPDATE events SET deleted_at = '2000-01-01 00:00:00' WHERE id = ?",
+        [duplicateId]
+      );
+
+      const purged = await purgeDeletedEvents({ retentionDays: 90 });
+      expect(purged).not.toContain(duplicateId);
+
+      const history = await request(app)
+        .get(`/api/events/${keptId}/history`)
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(
+        history.body.data.revisions.map((revision) => revision.event_id)
+      ).toContain(duplicateId);
+    });
+
+    test("should purge a trashed event that duplicates were merged into", async () => {
+      const [keptId, duplicateId] = eventIds;
+      await request(app)
+        .delete(`/api/events/${keptId}`)
+        .set("Authorization", `Bearer ${authToken}`);
+      await db.query(
+        "UPDATE events SET deleted_at = '2000-01-01 00:00:00' WHERE id IN (?, ?)",
+        [keptId, duplicateId]
+      );
+
+      const purged = await purgeDeletedEvents({ retentionDays: 90 });
+      expect(purged).toEqual(expect.arrayContaining([keptId, duplicateId]));
+
+      const remaining = await db.query(
+        "SELECT id FROM events WHERE id IN (?, ?)",
+        [keptId, duplicateId]
+      );
+      expect(remaining.rows).toHaveLength(0);
+    });
+  });
+
+  describe("Editorial workflow", () => {
+    let editorToken;
+    let userToken;
+    let eventId;
+
+    const step = (action, token, body = {}) =>
+      request(app)
+        .post(`/api/events/${eventId}/${action}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send(body);
+
+    beforeAll(async () => {
+      const editorLogin = await request(app).post("/api/auth/login").send({
+        username: "editor",
+        password: "editor123",
+      });
+      editorToken = editorLogin.body.data.token;
+
+      const userLogin = await request(app).post("/api/auth/login").send({
+        username: "user",
+        password: "user123",
+      });
+      userToken = userLogin.body.data.token;
+    });
+
+    afterAll(async () => {
+      await db.query("DELETE FROM event_reviews WHERE event_id = ?", [eventId]);
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [
+        eventId,
+      ]);
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    });
+
+    test("should keep editors' events as drafts hidden from users", async () => {
+      const response = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${editorToken}`)
+        .send({
+          country: "Workflow Country",
+          event_type: "Armed Conflict",
+          fatalities: 2,
+          date: "2024-04-20",
+          description: "Event used by the workflow tests",
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.event.status).toBe("draft");
+      eventId = response.body.data.event.id;
+
+      const hidden = await request(app)
+        .get(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(hidden.status).toBe(404);
+
+      const listed = await request(app)
+        .get("/api/events?country=Workflow Country")
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(listed.body.data.pagination.total).toBe(0);
+
+      const publish = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${editorToken}`)
+        .send({
+          country: "Workflow Country",
+          event_type: "Armed Conflict",
+          date: "2024-04-20",
+          status: "published",
+        });
+      expect(publish.status).toBe(400);
+    });
+
+    test("should move an event through review to published", async () => {
+      expect((await step("approve", editorToken)).status).toBe(403);
+      expect((await step("submit", editorToken)).status).toBe(200);
+      expect((await step("reject", authToken)).status).toBe(400);
+
+      const rejected = await step("reject", authToken, {
+        comment: "Needs a second source",
+      });
+      expect(rejected.body.data.event.status).toBe("rejected");
+
+      await step("submit", editorToken);
+      await step("approve", authToken);
+      const published = await step("approve", authToken);
+      expect(published.body.data.event.status).toBe("published");
+      expect((await step("approve", authToken)).status).toBe(409);
+
+      const visible = await request(app)
+        .get(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(visible.status).toBe(200);
+
+      const reviews = await request(app)
+        .get(`/api/events/${eventId}/reviews`)
+        .set("Authorization", `Bearer ${editorToken}`);
+      expect(reviews.body.data.reviews.map((review) => review.action)).toEqual([
+        "submit",
+        "reject",
+        "submit",
+        "approve",
+        "approve",
+      ]);
+      expect(reviews.body.data.reviews[1].comment).toBe(
+        "Needs a second source"
+      );
+    });
+
+    test("should stop editors changing events under review", async () => {
+      const response = await request(app)
+        .patch(`/api/events/${eventId}`)
+        .set("Authorization", `Bearer ${editorToken}`)
+        .send({ fatalities: 3 });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
+
+describe("Analytics Endpoints", () => {
+  let authToken;
+  const eventIds = [];
+
+  beforeAll(async () => {
+    const loginResponse = await request(app).post("/api/auth/login").send({
+      username: "admin",
+      password: "admin123",
+    });
+    authToken = loginResponse.body.data.token;
+
+    // One event a week in the baseline, then five in the week under test
+    const events = [
+      "2023-07-03",
+      "2023-07-10",
+      "2023-07-17",
+      "2023-07-24",
+      "2023-07-31",
+      "2023-08-07",
+      "2023-08-14",
+      "2023-08-21",
+      ...Array(5).fill("2023-08-30"),
+    ];
+    for (const [index, date] of events.entries()) {
+      const response = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          country: "Escalation Country",
+          event_type: "Armed Conflict",
+          fatalities: 1,
+          date,
+          description: `Escalation test event ${index}`,
+        });
+      eventIds.push(response.body.data.event.id);
+    }
+  });
+
+  afterAll(async () => {
+    for (const id of eventIds) {
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [id]);
+      await db.query("DELETE FROM events WHERE id = ?", [id]);
+    }
+  });
+
+  describe("GET /api/analytics/escalation", () => {
+    test("should flag a spike against the baseline", async () => {
+      const response = await request(app)
+        .get(
+          "/api/analytics/escalation?as_of=2023-09-03&country=Escalation Country"
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.period).toEqual({
+        start: "2023-08-28",
+        end: "2023-09-03",
+      });
+      const [alert] = response.body.data.alerts;
+      expect(alert.country).toBe("Escalation Country");
+      expect(alert.metrics.events.current).toBe(5);
+      expect(alert.metrics.events.baseline_mean).toBe(1);
+      expect(alert.metrics.events.pct_change).toBe(400);
+      expect(alert.triggered_by).toContain("events_pct_change");
+    });
+
+    test("should not flag a steady series", async () => {
+      const response = await request(app)
+        .get(
+          "/api/analytics/escalation?as_of=2023-08-27&country=Escalation Country&min_events=1"
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.alerts).toHaveLength(0);
+    });
+
+    test("should reject invalid parameters", async () => {
+      const response = await request(app)
+        .get("/api/analytics/escalation?interval=day")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
+
+describe("Event Type Endpoints", () => {
+  let adminToken;
+  let userToken;
+  let parentId;
+  let typeId;
+  let eventId;
+
+  beforeAll(async () => {
+    const adminLogin = await request(app).post("/api/auth/login").send({
+      username: "admin",
+      password: "admin123",
+    });
+    adminToken = adminLogin.body.data.token;
+
+    const userLogin = await request(app).post("/api/auth/login").send({
+      username: "user",
+      password: "user123",
+    });
+    userToken = userLogin.body.data.token;
+  });
+
+  afterAll(async () => {
+    if (eventId) {
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [
+        eventId,
+      ]);
+      await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+    }
+    await db.query("DELETE FROM event_types WHERE name LIKE ?", ["Test Type%"]);
+  });
+
+  test("should list the seeded taxonomy", async () => {
+    const response = await request(app)
+      .get("/api/event-types?tree=true")
+      .set("Authorization", `Bearer ${userToken}`);
+
+    expect(response.status).toBe(200);
+    const armedConflict = response.body.data.event_types.find(
+      (type) => type.name === "Armed Conflict"
+    );
+    expect(armedConflict.children.map((type) => type.name)).toContain(
+      "Military Action"
+    );
+  });
+
+  test("should let only admins create types", async () => {
+    const forbidden = await request(app)
+      .post("/api/event-types")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ name: "Test Type Parent" });
+    expect(forbidden.status).toBe(403);
+
+    const parent = await request(app)
+      .post("/api/event-types")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Test Type Parent" });
+    expect(parent.status).toBe(201);
+    parentId = parent.body.data.event_type.id;
+
+    const child = await request(app)
+      .post("/api/event-types")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Test Type Child", parent_id: parentId });
+    expect(child.status).toBe(201);
+    expect(child.body.data.event_type.parent_id).toBe(parentId);
+    typeId = child.body.data.event_type.id;
+
+    const duplicate = await request(app)
+      .post("/api/event-types")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "test type child" });
+    expect(duplicate.status).toBe(409);
+  });
+
+  test("should rename a type on its events", async () => {
+    const created = await request(app)
+      .post("/api/events")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        country: "Taxonomy Country",
+        event_type: "Test Type Child",
+        fatalities: 2,
+        date: "2024-04-01",
+        description: "Event used to check event type renames",
+      });
+    eventId = created.body.data.event.id;
+
+    const response = await request(app)
+      .patch(`/api/event-types/${typeId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Test Type Renamed" });
+    expect(response.status).toBe(200);
+    expect(response.body.data.events_updated).toBe(1);
+
+    const event = await request(app)
+      .get(`/api/events/${eventId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(event.body.data.event.event_type).toBe("Test Type Renamed");
+  });
+
+  test("should refuse cycles and deleting types in use", async () => {
+    const cycle = await request(app)
+      .patch(`/api/event-types/${parentId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ parent_id: typeId });
+    expect(cycle.status).toBe(400);
+
+    const inUse = await request(app)
+      .delete(`/api/event-types/${typeId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(inUse.status).toBe(409);
+  });
+
+  test("should merge a type into another", async () => {
+    const response = await request(app)
+      .post(`/api/event-types/${typeId}/merge`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ into: parentId });
+    expect(response.status).toBe(200);
+    expect(response.body.data.events_updated).toBe(1);
+
+    const event = await request(app)
+      .get(`/api/events/${eventId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(event.body.data.event.event_type).toBe("Test Type Parent");
+
+    const merged = await request(app)
+      .get(`/api/event-types/${typeId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(merged.status).toBe(404);
+  });
+
+  test("should not revert an event to a merged type", async () => {
+    const history = await request(app)
+      .get(`/api/events/${eventId}/history`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    const created = history.body.data.revisions.find(
+      (revision) => revision.action === "create"
+    );
+    expect(created.after.event_type).toBe("Test Type Child");
+
+    const response = await request(app)
+      .post(`/api/events/${eventId}/history/${created.id}/revert`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain("Unknown event type");
+  });
+});
+
+describe("Actor Endpoints", () => {
+  let adminToken;
+  let userToken;
+  let actorId;
+  const eventIds = [];
+
+  beforeAll(async () => {
+    const adminLogin = await request(app).post("/api/auth/login").send({
+      username: "admin",
+      password: "admin123",
+    });
+    adminToken = adminLogin.body.data.token;
+
+    const userLogin = await request(app).post("/api/auth/login").send({
+      username: "user",
+      password: "user123",
+    });
+    userToken = userLogin.body.data.token;
+  });
+
+  afterAll(async () => {
+    const imported = await db.query("SELECT id FROM events WHERE country = ?", [
+      "Actor Country",
+    ]);
+    for (const { id } of imported.rows) {
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [id]);
+      await db.query("DELETE FROM events WHERE id = ?", [id]);
+    }
+    await db.query("DELETE FROM actors WHERE name LIKE ?", ["Test Actor%"]);
+  });
+
+  test("should let only admins register actors", async () => {
+    const forbidden = await request(app)
+      .post("/api/actors")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ name: "Test Actor Army" });
+    expect(forbidden.status).toBe(403);
+
+    const response = await request(app)
+      .post("/api/actors")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        name: "Test Actor Army",
+        type: "state_force",
+        aliases: ["Test Actor TAA"],
+      });
+    expect(response.status).toBe(201);
+    expect(response.body.data.actor.aliases).toEqual(["Test Actor TAA"]);
+    actorId = response.body.data.actor.id;
+
+    const duplicate = await request(app)
+      .post("/api/actors")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "test actor taa" });
+    expect(duplicate.status).toBe(409);
+  });
+
+  test("should link actors to events and filter by them", async () => {
+    const created = await request(app)
+      .post("/api/events")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        country: "Actor Country",
+        event_type: "Armed Conflict",
+        fatalities: 3,
+        date: "2024-05-01",
+        description: "Event used to check actor links",
+        actors: [{ name: "Test Actor TAA", role: "actor1" }],
+      });
+    expect(created.status).toBe(201);
+    expect(created.body.data.event.actors).toEqual([
+      expect.objectContaining({ id: actorId, role: "actor1" }),
+    ]);
+    eventIds.push(created.body.data.event.id);
+
+    const unknown = await request(app)
+      .post("/api/events")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        country: "Actor Country",
+        event_type: "Armed Conflict",
+        date: "2024-05-01",
+        actors: [{ name: "Test Actor Nobody", role: "actor1" }],
+      });
+    expect(unknown.status).toBe(400);
+
+    const response = await request(app)
+      .get("/api/events?actor=Test Actor TAA&include=actors")
+      .set("Authorization", `Bearer ${userToken}`);
+    expect(response.status).toBe(200);
+    expect(response.body.data.events.map((event) => event.id)).toEqual(
+      eventIds
+    );
+    expect(response.body.data.events[0].actors[0].name).toBe("Test Actor Army");
+
+    const otherRole = await request(app)
+      .get(`/api/events?actor=${actorId}&actor_role=target`)
+      .set("Authorization", `Bearer ${userToken}`);
+    expect(otherRole.body.data.events).toHaveLength(0);
+  });
+
+  test("should report per-actor statistics", async () => {
+    const response = await request(app)
+      .get(`/api/actors/${actorId}/stats`)
+      .set("Authorization", `Bearer ${userToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.overall.total_events).toBe(1);
+    expect(response.body.data.by_role).toEqual([
+      { role: "actor1", event_count: 1, total_fatalities: 3 },
+    ]);
+
+    const stats = await request(app)
+      .get("/api/events/stats?country=Actor Country")
+      .set("Authorization", `Bearer ${userToken}`);
+    expect(stats.body.data.by_actor[0]).toMatchObject({
+      actor_id: actorId,
+      event_count: 1,
+    });
+  });
+
+  test("should register actors named in imported rows", async () => {
+    const response = await request(app)
+      .post("/api/events/import?schema=acled&mode=commit")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("Content-Type", "text/csv")
+      .send(
+        [
+          "event_id_cnty,event_date,year,event_type,actor1,actor2,country,latitude,longitude,notes,fatalities",
+          'ACT1,02 May 2024,2024,Battles,Test Actor TAA,Test Actor Rebels,Actor Country,15.4,45.3,"Clashes between the army and rebels",2',
+        ].join("\n")
+      );
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.rows[0].new_actors).toEqual([
+      "Test Actor Rebels",
+    ]);
+
+    const actors = await request(app)
+      .get("/api/actors?search=Test Actor Rebels")
+      .set("Authorization", `Bearer ${userToken}`);
+    expect(actors.body.data.actors[0]).toMatchObject({
+      type: null,
+      event_count: 1,
+    });
+  });
+
+  test("should refuse deleting an actor linked to events", async () => {
+    const response = await request(app)
+      .delete(`/api/actors/${actorId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(409);
+  });
+});
+
+describe("Comment Endpoints", () => {
+  let adminToken;
+  let userToken;
+  let eventId;
+  let commentId;
+
+  beforeAll(async () => {
+    const adminLogin = await request(app).post("/api/auth/login").send({
+      username: "admin",
+      password: "admin123",
+    });
+    adminToken = adminLogin.body.data.token;
+
+    const userLogin = await request(app).post("/api/auth/login").send({
+      username: "user",
+      password: "user123",
+    });
+    userToken = userLogin.body.data.token;
+
+    const created = await request(app)
+      .post("/api/events")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        country: "Comment Country",
+        event_type: "Armed Conflict",
+        fatalities: 4,
+        date: "2024-05-10",
+        description: "Event used by the comment tests",
+      });
+    eventId = created.body.data.event.id;
+  });
+
+  afterAll(async () => {
+    await db.query("DELETE FROM event_revisions WHERE event_id = ?", [eventId]);
+    await db.query("DELETE FROM events WHERE id = ?", [eventId]);
+  });
+
+  test("should add comments with mentions and threaded replies", async () => {
+    const response = await request(app)
+      .post(`/api/events/${eventId}/comments`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ body: "Fatality figure disputed, see source B @admin" });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.comment.mentions).toEqual(["admin"]);
+    commentId = response.body.data.comment.id;
+
+    const reply = await request(app)
+      .post(`/api/events/${eventId}/comments`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ body: "Checking with the source", parent_id: commentId });
+    expect(reply.status).toBe(201);
+
+    const thread = await request(app)
+      .get(`/api/events/${eventId}/comments`)
+      .set("Authorization", `Bearer ${userToken}`);
+    expect(thread.body.data.comments).toHaveLength(1);
+    expect(thread.body.data.comments[0].replies[0].body).toBe(
+      "Checking with the source"
+    );
+
+    const listed = await request(app)
+      .get("/api/events?country=Comment Country")
+      .set("Authorization", `Bearer ${userToken}`);
+    expect(listed.body.data.events[0].comment_count).toBe(2);
+  });
+
+  test("should let only the author edit a comment", async () => {
+    const forbidden = await request(app)
+      .patch(`/api/events/${eventId}/comments/${commentId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ body: "Edited by someone else" });
+    expect(forbidden.status).toBe(403);
+
+    const response = await request(app)
+      .patch(`/api/events/${eventId}/comments/${commentId}`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ body: "Fatality figure disputed, see source B" });
+    expect(response.status).toBe(200);
+    expect(response.body.data.comment.mentions).toEqual([]);
+    expect(response.body.data.comment.edited_at).not.toBeNull();
+  });
+
+  test("should let admins moderate comments", async () => {
+    const response = await request(app)
+      .delete(`/api/events/${eventId}/comments/${commentId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(response.status).toBe(200);
+
+    const thread = await request(app)
+      .get(`/api/events/${eventId}/comments`)
+      .set("Authorization", `Bearer ${userToken}`);
+    const [removed] = thread.body.data.comments;
+    expect(removed.body).toBeNull();
+    expect(removed.moderated).toBe(true);
+    expect(removed.replies).toHaveLength(1);
+    expect(thread.body.data.comment_count).toBe(1);
+  });
+});
+
+describe("Tag Endpoints", () => {
+  let adminToken;
+  let userToken;
+  let eventIds;
+
+  beforeAll(async () => {
+    const adminLogin = await request(app).post("/api/auth/login").send({
+      username: "admin",
+      password: "admin123",
+    });
+    adminToken = adminLogin.body.data.token;
+
+    const userLogin = await request(app).post("/api/auth/login").send({
+      username: "user",
+      password: "user123",
+    });
+    userToken = userLogin.body.data.token;
+
+    eventIds = [];
+    for (const fatalities of [2, 5, 9]) {
+      const created = await request(app)
+        .post("/api/events")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          country: "Tag Country",
+          event_type: "Civil Unrest",
+          fatalities,
+          date: "2024-06-01",
+          description: "Event used by the tag tests",
+        });
+      eventIds.push(created.body.data.event.id);
+    }
+  });
+
+  afterAll(async () => {
+    for (const id of eventIds) {
+      await db.query("DELETE FROM event_revisions WHERE event_id = ?", [id]);
+      await db.query("DELETE FROM events WHERE id = ?", [id]);
+    }
+    await db.query(
+      "DELETE FROM tags WHERE name IN ('tag-test-border', 'tag-test-election', 'tag-test-power')"
+    );
+  });
+
+  test("should tag an event, normalising and creating tags", async () => {
+    const response = await request(app)
+      .post(`/api/events/${eventIds[0]}/tags`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ tags: ["Tag Test Border", "tag-test-election"] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.tags).toEqual([
+      "tag-test-border",
+      "tag-test-election",
+    ]);
+
+    const invalid = await request(app)
+      .post(`/api/events/${eventIds[0]}/tags`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ tags: ["not valid!"] });
+    expect(invalid.status).toBe(400);
+
+    const forbidden = await request(app)
+      .post(`/api/events/${eventIds[0]}/tags`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ tags: ["tag-test-border"] });
+    expect(forbidden.status).toBe(403);
+  });
+
+  test("should add and remove tags in bulk", async () => {
+    const response = await request(app)
+      .post("/api/tags/bulk")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        event_ids: eventIds,
+        add: ["tag-test-power", "tag-test-border"],
+        remove: ["tag-test-election"],
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.links_added).toBe(5);
+    expect(response.body.data.links_removed).toBe(1);
+
+    const missing = await request(app)
+      .post("/api/tags/bulk")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ event_ids: [eventIds[0], 999999], add: ["tag-test-power"] });
+    expect(missing.status).toBe(404);
+  });
+
+  test("should filter events by any or all tags", async () => {
+    await request(app)
+      .delete(`/api/events/${eventIds[2]}/tags/tag-test-power`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const any = await request(app)
+      .get("/api/events?tags=tag-test-power,tag-test-border&include=tags")
+      .set("Authorization", `Bearer ${userToken}`);
+    expect(any.status).toBe(200);
+    expect(any.body.data.events).toHaveLength(3);
+
+    const all = await request(app)
+      .get("/api/events?tags=tag-test-power,tag-test-border&tags_mode=all")
+      .set("Authorization", `Bearer ${userToken}`);
+    expect(all.body.data.events.map((event) => event.id).sort()).toEqual(
+      eventIds.slice(0, 2).sort()
+    );
+
+    const invalidMode = await request(app)
+      .get("/api/events?tags=tag-test-power&tags_mode=some")
+      .set("Authorization", `Bearer ${userToken}`);
+    expect(invalidMode.status).toBe(400);
+  });
+
+  test("should report tag counts in list and stats", async () => {
+    const list = await request(app)
+      .get("/api/tags?q=tag-test")
+      .set("Authorization", `Bearer ${userToken}`);
+    expect(list.status).toBe(200);
+    const power = list.body.data.tags.find(
+      (tag) => tag.name === "tag-test-power"
+    );
+    expect(power.event_count).toBe(2);
+
+    const stats = await request(app)
+      .get("/api/events/stats?country=Tag Country")
+      .set("Authorization", `Bearer ${userToken}`);
+    expect(stats.body.data.by_tag).toEqual([
+      expect.objectContaining({
+        name: "tag-test-border",
+        event_count: 3,
+        total_fatalities: 16,
+      }),
+      expect.objectContaining({
+        name: "tag-test-power",
+        event_count: 2,
+        total_fatalities: 7,
+      }),
+    ]);
+  });
+
+  test("should not count unpublished events for plain users", async () => {
+    const draft = await request(app)
+      .post("/api/events")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        country: "Tag Country",
+        event_type: "Civil Unrest",
+        fatalities: 1,
+        date: "2024-06-02",
+        description: "Draft event used by the tag tests",
+        status: "draft",
+      });
+    eventIds.push(draft.body.data.event.id);
+    await request(app)
+      .post(`/api/events/${draft.body.data.event.id}/tags`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ tags: ["tag-test-border"] });
+
+    const counts = {};
+    for (const [role, token] of [
+      ["admin", adminToken],
+      ["user", userToken],
+    ]) {
+      const tags = await request(app)
+        .get("/api/tags?q=tag-test-border")
+        .set("Authorization", `Bearer ${token}`);
+      const types = await request(app)
+        .get("/api/event-types")
+        .set("Authorization", `Bearer ${token}`);
+      counts[role] = {
+        tag: tags.body.data.tags[0].event_count,
+        type: types.body.data.event_types.find(
+          (type) => type.name === "Civil Unrest"
+        ).event_count,
+      };
+    }
+    expect(counts.admin.tag).toBe(4);
+    expect(counts.user.tag).toBe(3);
+    expect(counts.admin.type - counts.user.type).toBe(1);
+  });
+
+  test("should limit editors to existing tags on events they may change", async () => {
+    const editorLogin = await request(app).post("/api/auth/login").send({
+      username: "editor",
+      password: "editor123",
+    });
+    const editorToken = editorLogin.body.data.token;
+    const draft = await request(app)
+      .post("/api/events")
+      .set("Authorization", `Bearer ${editorToken}`)
+      .send({
+        country: "Tag Country",
+        event_type: "Civil Unrest",
+        date: "2024-06-03",
+        description: "Editor's draft used by the tag tests",
+      });
+    const draftId = draft.body.data.event.id;
+    eventIds.push(draftId);
+
+    const tagged = await request(app)
+      .post(`/api/events/${draftId}/tags`)
+      .set("Authorization", `Bearer ${editorToken}`)
+      .send({ tags: ["tag-test-border"] });
+    expect(tagged.status).toBe(200);
+
+    const unknown = await request(app)
+      .post(`/api/events/${draftId}/tags`)
+      .set("Authorization", `Bearer ${editorToken}`)
+      .send({ tags: ["tag-test-unknown"] });
+    expect(unknown.status).toBe(400);
+    const created = await request(app)
+      .get("/api/tags?q=tag-test-unknown")
+      .set("Authorization", `Bearer ${editorToken}`);
+    expect(created.body.data.tags).toHaveLength(0);
+
+    const published = await request(app)
+      .post(`/api/events/${eventIds[0]}/tags`)
+      .set("Authorization", `Bearer ${editorToken}`)
+      .send({ tags: ["tag-test-border"] });
+    expect(published.status).toBe(403);
+
+    const untag = await request(app)
+      .delete(`/api/events/${eventIds[0]}/tags/tag-test-border`)
+      .set("Authorization", `Bearer ${editorToken}`);
+    expect(untag.status).toBe(403);
+
+    const bulk = await request(app)
+      .post("/api/tags/bulk")
+      .set("Authorization", `Bearer ${editorToken}`)
+      .send({ event_ids: [draftId, eventIds[0]], add: ["tag-test-power"] });
+    expect(bulk.status).toBe(403);
+  });
+
+  test("should let only admins manage tags", async () => {
+    const forbidden = await request(app)
+      .post("/api/tags")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ name: "tag-test-other" });
+    expect(forbidden.status).toBe(403);
+
+    const list = await request(app)
+      .get("/api/tags?q=tag-test-power")
+      .set("Authorization", `Bearer ${userToken}`);
+    const [power] = list.body.data.tags;
+
+    const clash = await request(app)
+      .patch(`/api/tags/${power.id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "tag-test-border" });
+    expect(clash.status).toBe(409);
+
+    const deleted = await request(app)
+      .delete(`/api/tags/${power.id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.data.events_untagged).toBe(2);
   });
 });
 
@@ -0,0 +1,12 @@
+// Runs before the test suite: tests use their own SQLite database so they
+// neither need PostgreSQL nor touch data/database.sqlite
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DB_TYPE = "sqlite";
+process.env.DB_PATH = path.join(os.tmpdir(), "conflict-data-test.sqlite");
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.BCRYPT_ROUNDS = process.env.BCRYPT_ROUNDS || "4";
+
+fs.rmSync(process.env.DB_PATH, { force: true });
@@ -0,0 +1,182 @@
+// Actors registry: the armed groups, state forces and others involved in
+// events. Events link to actors through event_actors with a role.
+const db = require("../config/database");
+const { parseJsonColumn } = require("./json");
+
+const ACTOR_TYPES = [
+  "state_force",
+  "rebel_group",
+  "political_militia",
+  "identity_militia",
+  "rioters",
+  "protesters",
+  "civilians",
+  "external_force",
+  "other",
+];
+
+// actor1 and actor2 are the two sides of an event, as in ACLED and UCDP;
+// target is whoever the event was directed at
+const ACTOR_ROLES = ["actor1", "actor2", "target"];
+
+// Comparison key for actor names and aliases
+function actorKey(name) {
+  return String(name).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function formatActor(row) {
+  return { ...row, aliases: parseJsonColumn(row.aliases, []) };
+}
+
+// Map every actor name and alias key to its actor
+async function loadActorIndex(client = db) {
+  const result = await client.query("SELECT id, name, aliases FROM actors");
+  const index = new Map();
+  for (const row of result.rows) {
+    for (const name of [row.name, ...parseJsonColumn(row.aliases, [])]) {
+      index.set(actorKey(name), { id: row.id, name: row.name });
+    }
+  }
+  return index;
+}
+
+// Validate the `actors` list of an event payload: entries of
+// { actor_id, role } or { name, role }. Returns { links } or { error }.
+function parseActorLinks(value) {
+  if (!Array.isArray(value)) {
+    return { error: "actors must be an array of { actor_id or name, role }" };
+  }
+
+  const links = [];
+  for (const entry of value) {
+    if (
+      !entry ||
+      typeof entry !== "object" ||
+      !ACTOR_ROLES.includes(entry.role)
+    ) {
+      return {
+        error: `Each actor needs a role of ${ACTOR_ROLES.join(", ")}`,
+      };
+    }
+    if (entry.actor_id !== undefined) {
+      const id = Number(entry.actor_id);
+      if (!Number.isInteger(id) || id <= 0) {
+        return { error: "actor_id must be a positive integer" };
+      }
+      links.push({ actor_id: id, role: entry.role });
+    } else if (typeof entry.name === "string" && entry.name.trim()) {
+      links.push({ name: entry.name.trim(), role: entry.role });
+    } else {
+      return { error: "Each actor needs an actor_id or a name" };
+    }
+  }
+  return { links };
+}
+
+// Resolve names in parsed links against the index. Returns the links with
+// actor ids and the names that matched no actor.
+function resolveActorLinks(index, links) {
+  const known = new Set([...index.values()].map((actor) => actor.id));
+  const resolved = [];
+  const unknown = [];
+
+  for (const link of links) {
+    if (link.actor_id !== undefined) {
+      if (known.has(link.actor_id)) resolved.push(link);
+      else unknown.push(`#${link.actor_id}`);
+      continue;
+    }
+    const actor = index.get(actorKey(link.name));
+    if (actor) resolved.push({ actor_id: actor.id, role: link.role });
+    else unknown.push(link.name);
+  }
+
+  return { links: resolved, unknown };
+}
+
+// Register actors by name (without a type), adding them to the index.
+// Used by imports, where external datasets bring their own actors.
+async function createActors(client, index, names) {
+  for (const name of names) {
+    if (index.has(actorKey(name))) continue;
+    await client.query("INSERT INTO actors (name, aliases) VALUES ($1, $2)", [
+      name,
+      JSON.stringify([]),
+    ]);
+    const result = await client.query(
+      "SELECT id, name FROM actors WHERE name = $1",
+      [name]
+    );
+    index.set(actorKey(name), result.rows[0]);
+  }
+}
+
+// Replace the actor links of an event
+async function setEventActors(client, eventId, links) {
+  await client.query("DELETE FROM event_actors WHERE event_id = $1", [eventId]);
+
+  const seen = new Set();
+  for (const { actor_id, role } of links) {
+    const key = `${actor_id}:${role}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    await client.query(
+      "INSERT INTO event_actors (event_id, actor_id, role) VALUES ($1, $2, $3)",
+      [eventId, actor_id, role]
+    );
+  }
+}
+
+// Actors of an event, ordered by role and name
+async function loadEventActors(client, eventId) {
+  const result = await client.query(
+    `
+    SELECT a.id, a.name, a.type, ea.role
+    FROM event_actors ea
+    JOIN actors a ON a.id = ea.actor_id
+    WHERE ea.event_id = $1
+    ORDER BY ea.role, a.name
+  `,
+    [eventId]
+  );
+  return result.rows;
+}
+
+// Select expression giving the actors of `e` as a JSON array, in the same
+// order as loadEventActors. SQLite returns it as text.
+function eventActorsExpression(dbType) {
+  if (dbType === "postgresql") {
+    return `(
+      SELECT COALESCE(json_agg(json_build_object(
+        'id', a.id, 'name', a.name, 'type', a.type, 'role', ea.role
+      ) ORDER BY ea.role, a.name), '[]')
+      FROM event_actors ea JOIN actors a ON a.id = ea.actor_id
+      WHERE ea.event_id = e.id
+    )`;
+  }
+  return `(
+    SELECT json_group_array(json_object(
+      'id', id, 'name', name, 'type', type, 'role', role
+    ))
+    FROM (
+      SELECT a.id, a.name, a.type, ea.role
+      FROM event_actors ea JOIN actors a ON a.id = ea.actor_id
+      WHERE ea.event_id = e.id
+      ORDER BY ea.role, a.name
+    )
+  )`;
+}
+
+module.exports = {
+  ACTOR_TYPES,
+  ACTOR_ROLES,
+  actorKey,
+  formatActor,
+  loadActorIndex,
+  parseActorLinks,
+  resolveActorLinks,
+  createActors,
+  setEventActors,
+  loadEventActors,
+  eventActorsExpression,
+};
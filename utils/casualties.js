@@ -0,0 +1,104 @@
+// Casualty figures of an event. `fatalities` is the best estimate and stays
+// the headline figure; low and high estimates bracket it when reports
+// disagree. The dead may be split into civilians, combatants and unknown,
+// and `injured` counts the wounded. Every figure but the best estimate is
+// optional.
+const CASUALTY_FIELDS = [
+  "fatalities_low",
+  "fatalities_high",
+  "fatalities_civilian",
+  "fatalities_combatant",
+  "fatalities_unknown",
+  "injured",
+];
+
+const MAX_CASUALTIES = 1000000;
+
+// Figures /stats can total. An event without a low or high estimate counts
+// its best estimate there, so totals keep low <= best <= high.
+const CASUALTY_MEASURES = {
+  fatalities: "e.fatalities",
+  fatalities_low: "COALESCE(e.fatalities_low, e.fatalities)",
+  fatalities_high: "COALESCE(e.fatalities_high, e.fatalities)",
+  fatalities_civilian: "e.fatalities_civilian",
+  fatalities_combatant: "e.fatalities_combatant",
+  fatalities_unknown: "e.fatalities_unknown",
+  injured: "e.injured",
+};
+
+// Normalise the optional casualty fields present in `values` in place: empty
+// values become null, anything else must be a non-negative integer. Returns
+// an error message or null.
+function normalizeCasualties(values) {
+  for (const field of CASUALTY_FIELDS) {
+    if (values[field] === undefined) continue;
+    if (values[field] === null || values[field] === "") {
+      values[field] = null;
+      continue;
+    }
+    const count = Number(values[field]);
+    if (!Number.isInteger(count) || count < 0 || count > MAX_CASUALTIES) {
+      return `${field} must be a non-negative integer`;
+    }
+    values[field] = count;
+  }
+  return null;
+}
+
+// Check that the estimates of an event are in order, low <= best <= high.
+// Missing estimates are skipped. Returns an error message or null.
+function estimateOrderError(event) {
+  const has = (value) => value !== null && value !== undefined;
+  const low = event.fatalities_low;
+  const best = event.fatalities;
+  const high = event.fatalities_high;
+
+  if (has(low) && has(best) && Number(low) > Number(best)) {
+    return "fatalities_low cannot be greater than fatalities";
+  }
+  if (has(high) && has(best) && Number(best) > Number(high)) {
+    return "fatalities cannot be greater than fatalities_high";
+  }
+  if (has(low) && has(high) && Number(low) > Number(high)) {
+    return "fatalities_low cannot be greater than fatalities_high";
+  }
+  return null;
+}
+
+// Parse `measures=fatalities,injured` for the stats endpoints. Returns
+// { measures } or { error }; the best estimate is the default.
+function parseMeasures(value) {
+  if (value === undefined) return { measures: ["fatalities"] };
+  const measures = [
+    ...new Set(
+      String(value)
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (measures.length === 0 || measures.some((m) => !CASUALTY_MEASURES[m])) {
+    return {
+      error: `measures must list names from ${Object.keys(
+        CASUALTY_MEASURES
+      ).join(", ")}`,
+    };
+  }
+  return { measures };
+}
+
+// SUM select expressions for the given measures, named `${prefix}${measure}`
+function measureSums(measures, prefix = "total_") {
+  return measures.map(
+    (measure) => `SUM(${CASUALTY_MEASURES[measure]}) as ${prefix}${measure}`
+  );
+}
+
+module.exports = {
+  CASUALTY_FIELDS,
+  CASUALTY_MEASURES,
+  normalizeCasualties,
+  estimateOrderError,
+  parseMeasures,
+  measureSums,
+};
@@ -0,0 +1,48 @@
+// Offline country reference: ISO 3166-1 codes, common aliases and UN M49
+// regions from data/countries.json. Kosovo is included under the
+// user-assigned code XKX that most conflict datasets use.
+const COUNTRIES = require("../data/countries.json");
+
+// Comparison key for country names: case, accents, punctuation, "St." and a
+// leading "The" do not matter
+function countryKey(value) {
+  return String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/\bst\b/g, "saint")
+    .trim()
+    .replace(/^the /, "");
+}
+
+const byKey = new Map();
+const byCode = new Map();
+for (const country of COUNTRIES) {
+  byCode.set(country.code, country);
+  byCode.set(country.iso2, country);
+  for (const name of [country.name, ...country.aliases]) {
+    byKey.set(countryKey(name), country);
+  }
+}
+
+// Find a country by its ISO alpha-3 or alpha-2 code
+function findCountryByCode(code) {
+  return byCode.get(String(code).trim().toUpperCase()) || null;
+}
+
+// Resolve free text (a name, an alias or an ISO code) to a reference
+// country, or null when it is not recognised
+function resolveCountry(value) {
+  if (value === undefined || value === null) return null;
+  return byKey.get(countryKey(value)) || findCountryByCode(value);
+}
+
+module.exports = {
+  COUNTRIES,
+  countryKey,
+  findCountryByCode,
+  resolveCountry,
+};
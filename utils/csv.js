@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV helpers
+
+// Text that spreadsheets would run as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value when it contains a delimiter, quote or line break. Text
+// starting like a formula is prefixed with ' so spreadsheets show it as
+// text; numbers, negative ones included, are left as they are.
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return `${values.map(formatCsvValue).join(",")}\r\n`;
+}
+
+// Parse CSV text into arrays of fields. Handles quoted fields containing
+// delimiters, escaped quotes and line breaks; blank lines are dropped.
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== "") records.push(record);
+    record = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) endRecord();
+
+  return records;
+}
+
+// Parse CSV text with a header row into one object per record
+function parseCsv(text) {
+  const [header = [], ...records] = parseCsvRecords(text);
+  const columns = header.map((column) => column.trim());
+
+  return records.map((record) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = record[index];
+    });
+    return row;
+  });
+}
+
+module.exports = { formatCsvValue, toCsvRow, parseCsvRecords, parseCsv };
@@ -0,0 +1,362 @@
+// Duplicate detection: the same incident is often entered from several feeds
+// with slightly different details. Events in the same country a few days
+// apart are paired up and scored on how alike they are.
+const db = require("../config/database");
+const { loadEventSnapshot, recordRevision } = require("./eventRevisions");
+const { setEventActors } = require("./actors");
+const { setEventSources } = require("./eventSources");
+const { tagEvents } = require("./tags");
+const { estimateOrderError } = require("./casualties");
+const { toDay } = require("./eventDates");
+
+const DEFAULT_WINDOW_DAYS = 3;
+const MAX_WINDOW_DAYS = 30;
+const DEFAULT_MIN_SCORE = 0.6;
+
+// How much each signal counts towards a pair's score. Signals that cannot be
+// compared, such as a missing description, are left out of the average.
+const SCORE_WEIGHTS = {
+  description: 0.35,
+  date: 0.25,
+  fatalities: 0.2,
+  event_type: 0.2,
+};
+
+// Common words that say nothing about whether two reports match
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "at",
+  "by",
+  "for",
+  "from",
+  "in",
+  "into",
+  "near",
+  "of",
+  "on",
+  "the",
+  "to",
+  "was",
+  "were",
+  "with",
+]);
+
+function descriptionWords(text) {
+  return new Set(
+    String(text)
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+  );
+}
+
+// Dice coefficient of the words of two descriptions, from 0 to 1
+function descriptionSimilarity(a, b) {
+  const wordsA = descriptionWords(a);
+  const wordsB = descriptionWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return null;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared += 1;
+  }
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+function daysBetween(a, b) {
+  return Math.round(
+    Math.abs(Date.parse(toDay(a)) - Date.parse(toDay(b))) / 86400000
+  );
+}
+
+// 1 for the same type, 0.5 when one is a sub-type of the other
+function eventTypeSimilarity(a, b, parents) {
+  const typeA = String(a).toLowerCase();
+  const typeB = String(b).toLowerCase();
+  if (typeA === typeB) return 1;
+  if (parents.get(typeA) === typeB || parents.get(typeB) === typeA) return 0.5;
+  return 0;
+}
+
+function fatalitySimilarity(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return null;
+  }
+  const largest = Math.max(Number(a), Number(b));
+  return largest === 0 ? 1 : 1 - Math.abs(a - b) / largest;
+}
+
+// Score a pair of events. Returns the weighted score with the similarity of
+// each signal, all rounded to two decimals.
+function scorePair(a, b, { windowDays, parents }) {
+  const signals = {
+    description: descriptionSimilarity(a.description, b.description),
+    date: 1 - daysBetween(a.date, b.date) / (windowDays + 1),
+    fatalities: fatalitySimilarity(a.fatalities, b.fatalities),
+    event_type: eventTypeSimilarity(a.event_type, b.event_type, parents),
+  };
+
+  let total = 0;
+  let weight = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    if (value === null) continue;
+    total += SCORE_WEIGHTS[signal] * value;
+    weight += SCORE_WEIGHTS[signal];
+  }
+
+  const round = (value) =>
+    value === null ? null : Math.round(value * 100) / 100;
+  return {
+    score: round(total / weight),
+    signals: Object.fromEntries(
+      Object.entries(signals).map(([signal, value]) => [signal, round(value)])
+    ),
+  };
+}
+
+// Map each lowercased event type to its parent's lowercased name
+async function loadTypeParents(client) {
+  const result = await client.query(`
+    SELECT LOWER(t.name) as name, LOWER(p.name) as parent
+    FROM event_types t
+    JOIN event_types p ON p.id = t.parent_id
+  `);
+  return new Map(result.rows.map((row) => [row.name, row.parent]));
+}
+
+// Keep the lower id first so a pair has one canonical order
+function orderPair(a, b) {
+  return a < b ? [a, b] : [b, a];
+}
+
+// Find candidate pairs among the events matched by `filters` (from
+// buildEventFilters): same country, dates at most `windowDays` apart, not
+// dismissed, scoring at least `minScore`. With `eventId` only that event's
+// neighbours are looked up instead of pairing up every event. Best matches
+// come first.
+async function findDuplicateCandidates(
+  client,
+  filters,
+  {
+    windowDays = DEFAULT_WINDOW_DAYS,
+    minScore = DEFAULT_MIN_SCORE,
+    limit,
+    eventId,
+  } = {}
+) {
+  const { joins, conditions } = filters;
+  const params = [...filters.params];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const scope = `
+    SELECT e.id FROM events e
+    ${joins.join(" ")}
+    ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+  `;
+  const dayGap =
+    db.type === "postgresql"
+      ? "ABS(a.date - b.date)"
+      : "ABS(julianday(a.date) - julianday(b.date))";
+  const pairConditions = [
+    `a.id IN (${scope})`,
+    `b.id IN (${scope})`,
+    `${dayGap} <= ${addParam(windowDays)}`,
+    `NOT EXISTS (
+      SELECT 1 FROM duplicate_dismissals d
+      WHERE (d.event_id = a.id AND d.other_event_id = b.id)
+        OR (d.event_id = b.id AND d.other_event_id = a.id)
+    )`,
+  ];
+  // `a` is the given event and `b` any other; without one each pair is
+  // joined once, lower id first
+  let pairing = "b.id > a.id";
+  if (eventId) {
+    pairConditions.unshift(`a.id = ${addParam(eventId)}`);
+    pairing = "b.id <> a.id";
+  }
+
+  const result = await client.query(
+    `
+    SELECT
+      a.id as a_id, a.country as a_country, a.event_type as a_event_type,
+      a.date as a_date, a.fatalities as a_fatalities,
+      a.description as a_description,
+      b.id as b_id, b.country as b_country, b.event_type as b_event_type,
+      b.date as b_date, b.fatalities as b_fatalities,
+      b.description as b_description
+    FROM events a
+    JOIN events b ON ${pairing} AND LOWER(b.country) = LOWER(a.country)
+    WHERE ${pairConditions.join(" AND ")}
+  `,
+    params
+  );
+
+  const parents = await loadTypeParents(client);
+  const pick = (row, prefix) => ({
+    id: row[`${prefix}_id`],
+    country: row[`${prefix}_country`],
+    event_type: row[`${prefix}_event_type`],
+    date: row[`${prefix}_date`],
+    fatalities: row[`${prefix}_fatalities`],
+    description: row[`${prefix}_description`],
+  });
+
+  const candidates = result.rows
+    .map((row) => {
+      const events = [pick(row, "a"), pick(row, "b")].sort(
+        (x, y) => x.id - y.id
+      );
+      return { ...scorePair(...events, { windowDays, parents }), events };
+    })
+    .filter((candidate) => candidate.score >= minScore)
+    .sort(
+      (x, y) =>
+        y.score - x.score ||
+        x.events[0].id - y.events[0].id ||
+        x.events[1].id - y.events[1].id
+    );
+
+  return limit ? candidates.slice(0, limit) : candidates;
+}
+
+// Mark a pair as reviewed and not a duplicate, so it is no longer suggested
+async function dismissDuplicatePair(client, ids, userId) {
+  const [eventId, otherEventId] = orderPair(...ids);
+  await client.query(
+    "DELETE FROM duplicate_dismissals WHERE event_id = $1 AND other_event_id = $2",
+    [eventId, otherEventId]
+  );
+  await client.query(
+    `
+    INSERT INTO duplicate_dismissals (event_id, other_event_id, dismissed_by)
+    VALUES ($1, $2, $3)
+  `,
+    [eventId, otherEventId, userId]
+  );
+}
+
+// Sources are the same citation when url and publication match
+function sourceKey(source) {
+  return `${source.url || ""}|${(source.publication || "").toLowerCase()}`;
+}
+
+// Fold `duplicateId` into `eventId`. The kept event takes the duplicate's
+// actors, sources, comments and tags, and any field it is missing; the
+// duplicate is moved to the trash with merged_into_id pointing at the kept
+// event, so its history shows up under the kept event. Both sides get a
+// "merge" revision. Returns the kept event's snapshot, or { status, message }
+// when a side is missing.
+async function mergeEvents(client, { eventId, duplicateId, fields, userId }) {
+  const kept = await loadEventSnapshot(client, eventId);
+  const duplicate = await loadEventSnapshot(client, duplicateId);
+  if (!kept || kept.deleted_at || !duplicate || duplicate.deleted_at) {
+    return { status: 404, message: "Event not found" };
+  }
+
+  // A null date_end means a single day rather than a missing value, so the
+  // kept event's timing is left as it is
+  let filled = fields.filter(
+    (field) =>
+      field !== "date_end" &&
+      (kept[field] === null || kept[field] === "") &&
+      duplicate[field] !== null &&
+      duplicate[field] !== ""
+  );
+  // The duplicate's low and high estimates only carry over while they still
+  // bracket the kept event's best estimate
+  const merged = { ...kept };
+  for (const field of filled) merged[field] = duplicate[field];
+  if (estimateOrderError(merged)) {
+    filled = filled.filter(
+      (field) => !["fatalities_low", "fatalities_high"].includes(field)
+    );
+  }
+  const assignments = filled.map((field, index) => `${field} = $${index + 1}`);
+  assignments.push("updated_at = CURRENT_TIMESTAMP");
+  await client.query(
+    `UPDATE events SET ${assignments.join(", ")} WHERE id = $${
+      filled.length + 1
+    }`,
+    [...filled.map((field) => duplicate[field]), eventId]
+  );
+
+  await setEventActors(
+    client,
+    eventId,
+    [...kept.actors, ...duplicate.actors].map(({ id, role }) => ({
+      actor_id: id,
+      role,
+    }))
+  );
+
+  const sources = new Map();
+  for (const source of [...kept.sources, ...duplicate.sources]) {
+    if (!sources.has(sourceKey(source))) sources.set(sourceKey(source), source);
+  }
+  await setEventSources(client, eventId, [...sources.values()]);
+
+  await client.query(
+    `
+    UPDATE events
+    SET merged_into_id = $1, deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+    WHERE id = $3
+  `,
+    [eventId, userId, duplicateId]
+  );
+  // The discussion moves along with the duplicate's sources
+  await client.query(
+    "UPDATE event_comments SET event_id = $1 WHERE event_id = $2",
+    [eventId, duplicateId]
+  );
+  // Tags too; the ones the kept event already has are skipped
+  const duplicateTags = await client.query(
+    "SELECT tag_id FROM event_tags WHERE event_id = $1",
+    [duplicateId]
+  );
+  await tagEvents(
+    client,
+    [eventId],
+    duplicateTags.rows.map((row) => row.tag_id),
+    userId
+  );
+  // Events merged into the duplicate earlier now belong to the kept event
+  await client.query(
+    "UPDATE events SET merged_into_id = $1 WHERE merged_into_id = $2",
+    [eventId, duplicateId]
+  );
+
+  const after = await loadEventSnapshot(client, eventId);
+  await recordRevision(client, {
+    eventId,
+    action: "merge",
+    before: kept,
+    after,
+    userId,
+    comment: `Merged duplicate event ${duplicateId}`,
+  });
+  await recordRevision(client, {
+    eventId: duplicateId,
+    action: "merge",
+    before: duplicate,
+    after: await loadEventSnapshot(client, duplicateId),
+    userId,
+    comment: `Merged into event ${eventId}`,
+  });
+
+  return { event: after };
+}
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  MAX_WINDOW_DAYS,
+  DEFAULT_MIN_SCORE,
+  scorePair,
+  findDuplicateCandidates,
+  dismissDuplicatePair,
+  mergeEvents,
+};
@@ -0,0 +1,120 @@
+// Escalation detection: compare the latest period of each country and event
+// type series against the periods before it. Works on already aggregated
+// rows so it stays independent of the database.
+
+const MEASURES = ["events", "fatalities"];
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Population standard deviation
+function stddev(values, average) {
+  return Math.sqrt(
+    values.reduce((sum, value) => sum + (value - average) ** 2, 0) /
+      values.length
+  );
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+// Compare the current value of a measure with its baseline values
+function compareToBaseline(current, baseline) {
+  const average = mean(baseline);
+  const deviation = stddev(baseline, average);
+
+  return {
+    current,
+    baseline_mean: round(average),
+    baseline_stddev: round(deviation),
+    // Undefined for a flat baseline, where any change is infinitely unusual
+    z_score: deviation > 0 ? round((current - average) / deviation) : null,
+    // Undefined without any baseline activity to compare against
+    pct_change:
+      average > 0 ? round(((current - average) / average) * 100) : null,
+  };
+}
+
+// Find escalating series.
+//   rows        [{ country, event_type, bucket, events, fatalities }]
+//   baseline    bucket labels of the baseline periods, oldest first
+//   current     bucket label of the period under test
+// A series is flagged when its current event count reaches `minEvents` and
+// a measure passes `zThreshold` or `pctThreshold`, or when activity starts
+// with no events at all in the baseline. Alerts are ranked by how far they
+// exceed the thresholds.
+function detectEscalations(
+  rows,
+  { baseline, current, zThreshold, pctThreshold, minEvents }
+) {
+  const series = new Map();
+  for (const row of rows) {
+    const key = JSON.stringify([row.country, row.event_type]);
+    if (!series.has(key)) {
+      series.set(key, {
+        country: row.country,
+        event_type: row.event_type,
+        buckets: new Map(),
+      });
+    }
+    series.get(key).buckets.set(row.bucket, row);
+  }
+
+  const alerts = [];
+  for (const { country, event_type, buckets } of series.values()) {
+    const valueAt = (label, measure) =>
+      Number((buckets.get(label) || {})[measure]) || 0;
+
+    const metrics = {};
+    for (const measure of MEASURES) {
+      metrics[measure] = compareToBaseline(
+        valueAt(current, measure),
+        baseline.map((label) => valueAt(label, measure))
+      );
+    }
+    if (metrics.events.current < minEvents) continue;
+
+    const triggeredBy = [];
+    let score = 0;
+    for (const measure of MEASURES) {
+      const { z_score, pct_change } = metrics[measure];
+      if (z_score !== null && z_score >= zThreshold) {
+        triggeredBy.push(`${measure}_z_score`);
+        score = Math.max(score, z_score / zThreshold);
+      }
+      if (pct_change !== null && pct_change >= pctThreshold) {
+        triggeredBy.push(`${measure}_pct_change`);
+        score = Math.max(score, pct_change / pctThreshold);
+      }
+    }
+    if (metrics.events.baseline_mean === 0) {
+      triggeredBy.push("new_activity");
+      score = Math.max(score, metrics.events.current / minEvents);
+    }
+
+    if (triggeredBy.length) {
+      alerts.push({
+        country,
+        event_type,
+        period: current,
+        score: round(score),
+        triggered_by: triggeredBy,
+        metrics,
+      });
+    }
+  }
+
+  return alerts.sort(
+    (a, b) =>
+      b.score - a.score ||
+      b.metrics.events.current - a.metrics.events.current ||
+      a.country.localeCompare(b.country)
+  );
+}
+
+module.exports = {
+  compareToBaseline,
+  detectEscalations,
+};
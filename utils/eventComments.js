@@ -0,0 +1,138 @@
+// Discussion threads on events. Comments may reply to another comment of the
+// same event and mention users with @username.
+const MAX_COMMENT_LENGTH = 5000;
+
+// Usernames are letters, digits and underscores (see middleware/security.js).
+// The @ must not follow a word character, so e-mail addresses do not count.
+const MENTION_PATTERN = /(^|[^A-Za-z0-9_.@])@([A-Za-z0-9_]{3,50})/g;
+
+// Validate a comment body. Returns { body } or { error }.
+function parseCommentBody(value) {
+  const body = typeof value === "string" ? value.trim() : "";
+  if (!body || body.length > MAX_COMMENT_LENGTH) {
+    return {
+      error: `body must be between 1 and ${MAX_COMMENT_LENGTH} characters`,
+    };
+  }
+  return { body };
+}
+
+// Usernames mentioned in a comment body, each once, lowercased
+function findMentions(body) {
+  const names = new Set();
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    names.add(match[2].toLowerCase());
+  }
+  return [...names];
+}
+
+// Replace the mentions of a comment with the users named in its body.
+// Names that match no user are plain text and ignored.
+async function setCommentMentions(client, commentId, body) {
+  await client.query("DELETE FROM comment_mentions WHERE comment_id = $1", [
+    commentId,
+  ]);
+
+  const names = findMentions(body);
+  if (names.length === 0) return;
+
+  const users = await client.query(
+    `SELECT id FROM users WHERE LOWER(username) IN (${names
+      .map((name, index) => `$${index + 1}`)
+      .join(", ")})`,
+    names
+  );
+  for (const { id } of users.rows) {
+    await client.query(
+      "INSERT INTO comment_mentions (comment_id, user_id) VALUES ($1, $2)",
+      [commentId, id]
+    );
+  }
+}
+
+// Load comments with their authors and mentioned usernames, oldest first.
+// `where` is a condition on `c` using the given params.
+async function loadComments(client, where, params) {
+  const result = await client.query(
+    `
+    SELECT c.*, u.username as author_username
+    FROM event_comments c
+    LEFT JOIN users u ON u.id = c.author_id
+    WHERE ${where}
+    ORDER BY c.created_at, c.id
+  `,
+    params
+  );
+  if (result.rows.length === 0) return [];
+
+  const ids = result.rows.map((row) => row.id);
+  const mentions = await client.query(
+    `
+    SELECT m.comment_id, u.username
+    FROM comment_mentions m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.comment_id IN (${ids
+      .map((id, index) => `$${index + 1}`)
+      .join(", ")})
+    ORDER BY u.username
+  `,
+    ids
+  );
+
+  return result.rows.map((row) => formatComment(row, mentions.rows));
+}
+
+// Deleted comments stay in the thread so replies keep their place, but lose
+// their text. `moderated` tells a removal by an admin from one by the author.
+function formatComment(row, mentionRows) {
+  const deleted = Boolean(row.deleted_at);
+  return {
+    id: row.id,
+    event_id: row.event_id,
+    parent_id: row.parent_id,
+    author_id: row.author_id,
+    author_username: row.author_username,
+    body: deleted ? null : row.body,
+    mentions: deleted
+      ? []
+      : mentionRows
+          .filter((mention) => mention.comment_id === row.id)
+          .map((mention) => mention.username),
+    created_at: row.created_at,
+    edited_at: row.edited_at,
+    deleted_at: row.deleted_at,
+    moderated: deleted && row.deleted_by !== row.author_id,
+  };
+}
+
+async function findComment(client, eventId, commentId) {
+  const [comment] = await loadComments(
+    client,
+    "c.id = $1 AND c.event_id = $2",
+    [commentId, eventId]
+  );
+  return comment || null;
+}
+
+// Nest comments under the comments they reply to
+function buildCommentThread(comments) {
+  const nodes = new Map(
+    comments.map((comment) => [comment.id, { ...comment, replies: [] }])
+  );
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_id);
+    (parent ? parent.replies : roots).push(node);
+  }
+  return roots;
+}
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  parseCommentBody,
+  findMentions,
+  setCommentMentions,
+  loadComments,
+  findComment,
+  buildCommentThread,
+};
@@ -0,0 +1,101 @@
+// Uncertain event timing. `date` is the first day an event may have happened
+// on and `date_end` the last, null for a single day. `date_precision` says
+// how precisely the source dated it: a report of "mid-March" is a month
+// precision event spanning March.
+const { INTERVALS, isDay, bucketStart, bucketEnd } = require("./timeBuckets");
+
+const DATE_PRECISIONS = INTERVALS;
+
+// How date filters treat an event's span: `overlap` keeps events that may
+// have happened within the range, `contained` only those that certainly did
+const DATE_MODES = ["overlap", "contained"];
+
+// Dates on which time series place an event that spans several days
+const DATE_BASES = {
+  start: () => "e.date",
+  end: () => "COALESCE(e.date_end, e.date)",
+  // Rounded down to a whole day
+  midpoint: (dbType) =>
+    dbType === "postgresql"
+      ? "(e.date + (COALESCE(e.date_end, e.date) - e.date) / 2)"
+      : "date(julianday(e.date) + (julianday(COALESCE(e.date_end, e.date)) - julianday(e.date)) / 2)",
+};
+
+// YYYY-MM-DD of a DATE value. Both databases return DATE columns as text; a
+// Date object holds local midnight of its day, so its local date parts are
+// used rather than the UTC ones, which fall on the previous day east of UTC.
+function toDay(value) {
+  if (value === null || value === undefined) return null;
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = (part) => String(part).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+    value.getDate()
+  )}`;
+}
+
+// Validate date_end and date_precision in `values` in place: an empty
+// date_end becomes null. Returns an error message or null.
+function normalizeDateFields(values) {
+  if (
+    values.date_precision !== undefined &&
+    !DATE_PRECISIONS.includes(values.date_precision)
+  ) {
+    return `date_precision must be one of ${DATE_PRECISIONS.join(", ")}`;
+  }
+  if (values.date_end === "") values.date_end = null;
+  if (
+    values.date_end !== undefined &&
+    values.date_end !== null &&
+    !isDay(values.date_end)
+  ) {
+    return "date_end must be in YYYY-MM-DD format";
+  }
+  return null;
+}
+
+// Settle the span of an event being written. `values` are the fields being
+// written and `current` the stored event, if any. When the date or a coarser
+// precision changes without an explicit date_end, the event runs to the end
+// of the week (Monday to Sunday), month or year holding its date. The date
+// itself is kept as reported, so imported files export the dates they came
+// with. Narrowing to day precision drops the old span. Updates `values` in
+// place and returns an error message or null.
+function applyDateSpan(values, current = {}) {
+  const precision = values.date_precision || current.date_precision || "day";
+  const date = values.date !== undefined ? values.date : toDay(current.date);
+
+  if (
+    values.date_precision === "day" &&
+    current.date_precision &&
+    current.date_precision !== "day" &&
+    values.date_end === undefined
+  ) {
+    values.date_end = null;
+  }
+
+  if (
+    precision !== "day" &&
+    isDay(date) &&
+    values.date_end === undefined &&
+    (values.date !== undefined || values.date_precision !== undefined)
+  ) {
+    values.date_end = bucketEnd(bucketStart(date, precision), precision);
+    return null;
+  }
+
+  const dateEnd =
+    values.date_end !== undefined ? values.date_end : toDay(current.date_end);
+  if (dateEnd && date && dateEnd < date) {
+    return "date_end cannot be before date";
+  }
+  return null;
+}
+
+module.exports = {
+  DATE_PRECISIONS,
+  DATE_MODES,
+  DATE_BASES,
+  toDay,
+  normalizeDateFields,
+  applyDateSpan,
+};
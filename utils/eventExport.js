@@ -0,0 +1,59 @@
+const { toCsvRow } = require("./csv");
+
+// Columns written by GET /api/events/export, in output order
+const EXPORT_COLUMNS = [
+  "id",
+  "country",
+  "country_code",
+  "event_type",
+  "fatalities",
+  "fatalities_low",
+  "fatalities_high",
+  "fatalities_civilian",
+  "fatalities_combatant",
+  "fatalities_unknown",
+  "injured",
+  "date",
+  "date_end",
+  "date_precision",
+  "description",
+  "latitude",
+  "longitude",
+  "created_by_username",
+  "created_at",
+  "updated_at",
+];
+
+function pickColumns(event, columns) {
+  const picked = {};
+  for (const column of columns) picked[column] = event[column] ?? null;
+  return picked;
+}
+
+// Writers for each export format. `header` returns the text written before
+// the first row, `row` serialises a single event.
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    header: (columns) => toCsvRow(columns),
+    row: (event, columns) => toCsvRow(columns.map((column) => event[column])),
+  },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "ndjson",
+    header: () => "",
+    row: (event, columns) => `${JSON.stringify(pickColumns(event, columns))}\n`,
+  },
+};
+
+// e.g. events-2024-06-01.csv
+function exportFilename(extension, prefix = "events", date = new Date()) {
+  return `${prefix}-${date.toISOString().slice(0, 10)}.${extension}`;
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  exportFilename,
+};
@@ -0,0 +1,167 @@
+// Column projection for event responses: `fields=` picks which event columns
+// are selected and `include=` embeds related data.
+const db = require("../config/database");
+const { eventActorsExpression } = require("./actors");
+const { parseJsonColumn } = require("./json");
+const { eventSourcesExpression } = require("./eventSources");
+const { eventTagsExpression } = require("./tags");
+
+// Comments on the event that have not been deleted
+const COMMENT_COUNT =
+  "(SELECT CAST(COUNT(*) AS INTEGER) FROM event_comments c WHERE c.event_id = e.id AND c.deleted_at IS NULL) as comment_count";
+
+const DEFAULT_COLUMNS = [
+  "e.*",
+  "u.username as created_by_username",
+  COMMENT_COUNT,
+];
+
+// Fields a client may request, mapped to their select expressions
+const SELECTABLE_FIELDS = {
+  id: "e.id",
+  country: "e.country",
+  country_code: "e.country_code",
+  event_type: "e.event_type",
+  fatalities: "e.fatalities",
+  fatalities_low: "e.fatalities_low",
+  fatalities_high: "e.fatalities_high",
+  fatalities_civilian: "e.fatalities_civilian",
+  fatalities_combatant: "e.fatalities_combatant",
+  fatalities_unknown: "e.fatalities_unknown",
+  injured: "e.injured",
+  date: "e.date",
+  date_end: "e.date_end",
+  date_precision: "e.date_precision",
+  description: "e.description",
+  latitude: "e.latitude",
+  longitude: "e.longitude",
+  created_by: "e.created_by",
+  created_by_username: "u.username as created_by_username",
+  created_at: "e.created_at",
+  updated_at: "e.updated_at",
+  deleted_at: "e.deleted_at",
+  deleted_by: "e.deleted_by",
+  status: "e.status",
+  merged_into_id: "e.merged_into_id",
+  external_source: "e.external_source",
+  external_id: "e.external_id",
+  external_type: "e.external_type",
+  comment_count: COMMENT_COUNT,
+};
+
+// Related data for `include=`. `selects` are added to the query and `shape`
+// moves them into place on each row.
+const EVENT_INCLUDES = {
+  creator: {
+    selects: [
+      "u.id as creator_id",
+      "u.username as creator_username",
+      "u.role as creator_role",
+      "u.created_at as creator_created_at",
+    ],
+    shape: ({
+      creator_id,
+      creator_username,
+      creator_role,
+      creator_created_at,
+      ...row
+    }) => ({
+      ...row,
+      creator:
+        creator_id === null || creator_id === undefined
+          ? null
+          : {
+              id: creator_id,
+              username: creator_username,
+              role: creator_role,
+              created_at: creator_created_at,
+            },
+    }),
+  },
+  actors: {
+    selects: [`${eventActorsExpression(db.type)} as actors`],
+    shape: (row) => ({ ...row, actors: parseJsonColumn(row.actors, []) }),
+  },
+  sources: {
+    selects: [`${eventSourcesExpression(db.type)} as sources`],
+    shape: (row) => ({ ...row, sources: parseJsonColumn(row.sources, []) }),
+  },
+  tags: {
+    selects: [`${eventTagsExpression(db.type)} as tags`],
+    shape: (row) => ({ ...row, tags: parseJsonColumn(row.tags, []) }),
+  },
+  source_count: {
+    selects: [
+      "(SELECT CAST(COUNT(*) AS INTEGER) FROM event_sources s WHERE s.event_id = e.id) as source_count",
+    ],
+  },
+  revision_count: {
+    selects: [
+      "(SELECT CAST(COUNT(*) AS INTEGER) FROM event_revisions r WHERE r.event_id = e.id) as revision_count",
+    ],
+  },
+};
+
+function parseNames(value) {
+  return String(value)
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+// Build the select list for `fields` and `include` query parameters.
+// `required` names fields the caller needs whatever the client asked for,
+// and `embedded` the includes it returns whatever the client asked for.
+// Returns { columns, shape } or { error } when a name is not allowed.
+function buildProjection(
+  { fields, include },
+  { required = ["id"], embedded = [] } = {}
+) {
+  let columns = DEFAULT_COLUMNS;
+
+  if (fields !== undefined) {
+    const names = parseNames(fields);
+    const unknown = names.filter((name) => !SELECTABLE_FIELDS[name]);
+    if (names.length === 0 || unknown.length) {
+      return {
+        error: `fields must list names from ${Object.keys(
+          SELECTABLE_FIELDS
+        ).join(", ")}`,
+      };
+    }
+    const selected = [...new Set([...required, ...names])];
+    columns = selected.map((name) => SELECTABLE_FIELDS[name]);
+  }
+
+  const includes = include === undefined ? [] : parseNames(include);
+  const unknownIncludes = includes.filter((name) => !EVENT_INCLUDES[name]);
+  if (
+    (include !== undefined && includes.length === 0) ||
+    unknownIncludes.length
+  ) {
+    return {
+      error: `include must list names from ${Object.keys(EVENT_INCLUDES).join(
+        ", "
+      )}`,
+    };
+  }
+
+  const selected = [...new Set([...embedded, ...includes])].map(
+    (name) => EVENT_INCLUDES[name]
+  );
+  return {
+    columns: [...columns, ...selected.flatMap((entry) => entry.selects)],
+    shape: (row) =>
+      selected.reduce(
+        (shaped, entry) => (entry.shape ? entry.shape(shaped) : shaped),
+        row
+      ),
+  };
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  SELECTABLE_FIELDS,
+  EVENT_INCLUDES,
+  buildProjection,
+};
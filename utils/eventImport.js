@@ -0,0 +1,88 @@
+const { validationResult } = require("express-validator");
+const { validationRules } = require("../middleware/security");
+const { parseCsv } = require("./csv");
+
+const DEFAULT_MAX_IMPORT_ROWS = 10000;
+const DATE_LOOKUP_CHUNK = 500;
+
+function maxImportRows() {
+  return parseInt(process.env.IMPORT_MAX_ROWS) || DEFAULT_MAX_IMPORT_ROWS;
+}
+
+// Read the rows of an import request: a JSON array, or CSV text with a
+// header row. Returns null when the body is neither.
+function readImportRows(req) {
+  if (req.is("text/csv")) {
+    return typeof req.body === "string" ? parseCsv(req.body) : null;
+  }
+  return Array.isArray(req.body) ? req.body : null;
+}
+
+// Trim string values and drop empty cells so optional rules treat them as
+// missing, the way an absent JSON property would be
+function cleanImportRow(row) {
+  const cleaned = {};
+  for (const [key, value] of Object.entries(row)) {
+    const trimmed = typeof value === "string" ? value.trim() : value;
+    if (trimmed !== "" && trimmed !== undefined) {
+      cleaned[key.trim()] = trimmed;
+    }
+  }
+  return cleaned;
+}
+
+// Check a row against validationRules.createEvent, returning errors in the
+// same shape as validateInput. The rules sanitise what they check, so they
+// run on a copy and the row itself is left untouched.
+async function checkCreateEventRules(row) {
+  const rowRequest = { body: { ...row } };
+  await Promise.all(
+    validationRules.createEvent.map((validation) => validation.run(rowRequest))
+  );
+
+  return validationResult(rowRequest)
+    .array()
+    .map((err) => ({ [err.path]: err.msg }));
+}
+
+// Identity used to spot rows that repeat an existing event or an earlier row
+function eventKey(event) {
+  return [
+    String(event.country).trim().toLowerCase(),
+    String(event.event_type).trim().toLowerCase(),
+    String(event.date),
+    Number(event.fatalities) || 0,
+    (event.description || "").trim(),
+  ].join("|");
+}
+
+// Keys of live events that fall on any of the given dates
+async function findExistingEventKeys(client, dates) {
+  const keys = new Set();
+  const uniqueDates = [...new Set(dates)];
+
+  for (let i = 0; i < uniqueDates.length; i += DATE_LOOKUP_CHUNK) {
+    const chunk = uniqueDates.slice(i, i + DATE_LOOKUP_CHUNK);
+    const placeholders = chunk.map((date, index) => `$${index + 1}`);
+    const result = await client.query(
+      `
+      SELECT country, event_type, CAST(date AS TEXT) as date, fatalities, description
+      FROM events
+      WHERE deleted_at IS NULL AND date IN (${placeholders.join(", ")})
+    `,
+      chunk
+    );
+    result.rows.forEach((row) => keys.add(eventKey(row)));
+  }
+
+  return keys;
+}
+
+module.exports = {
+  maxImportRows,
+  readImportRows,
+  cleanImportRow,
+  checkCreateEventRules,
+  eventKey,
+  findExistingEventKeys,
+};
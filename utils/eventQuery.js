@@ -0,0 +1,574 @@
+// Shared query building for event listings. Every filter is written once here
+// so the list, count and other queries over `events e` stay in step. All
+// values are bound as $N parameters, which config/database.js also maps onto
+// SQLite.
+const db = require("../config/database");
+const { buildSearchClauses } = require("./search");
+const { findCountryByCode } = require("./countries");
+const { ACTOR_ROLES } = require("./actors");
+const { RELIABILITY_GRADES } = require("./eventSources");
+const { TAG_NAME_RULE, normalizeTagName } = require("./tags");
+const { EVENT_STATUSES, visibilityCondition } = require("./eventWorkflow");
+const { DATE_MODES } = require("./eventDates");
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+// Soft-delete visibility. `include_deleted=true` shows deleted events
+// alongside live ones and `include_deleted=only` lists just the trash; both
+// are reserved for admins.
+const DELETED_CONDITIONS = {
+  exclude: "e.deleted_at IS NULL",
+  include: null,
+  only: "e.deleted_at IS NOT NULL",
+};
+
+function parseDeletedMode(value) {
+  if (value === undefined || value === "" || value === "false") {
+    return "exclude";
+  }
+  if (value === "true" || value === "1") return "include";
+  if (value === "only") return "only";
+  return null;
+}
+
+// Parse a comma separated list of numbers, returning null unless exactly
+// `count` finite numbers are present
+function parseNumberList(value, count) {
+  if (typeof value !== "string") return null;
+  const numbers = value.split(",").map((part) => Number(part.trim()));
+  if (numbers.length !== count || numbers.some((n) => !Number.isFinite(n))) {
+    return null;
+  }
+  return numbers;
+}
+
+// Split a comma separated filter value into its trimmed, non-empty parts
+function parseList(value) {
+  return String(value)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+}
+
+function parseCount(value) {
+  return /^\d+$/.test(String(value).trim()) ? parseInt(value) : null;
+}
+
+// Text filters match case-insensitively, either as a substring (fuzzy, the
+// default) or the whole value (exact). Several values match any of them.
+function textCondition(column, values, match, addParam) {
+  if (match === "exact") {
+    const placeholders = values.map((value) => `LOWER(${addParam(value)})`);
+    return `LOWER(${column}) IN (${placeholders.join(", ")})`;
+  }
+  const likes = values.map(
+    (value) => `LOWER(${column}) LIKE LOWER(${addParam(`%${value}%`)})`
+  );
+  return likes.length > 1 ? `(${likes.join(" OR ")})` : likes[0];
+}
+
+// Sort keys accepted by `sort=`. `relevance` and `distance` only exist when
+// `q` and `near` are given.
+const SORT_COLUMNS = {
+  date: "e.date",
+  created_at: "e.created_at",
+  updated_at: "e.updated_at",
+  fatalities: "e.fatalities",
+  country: "e.country",
+  event_type: "e.event_type",
+  id: "e.id",
+  relevance: "search_rank",
+  distance: "distance_km",
+};
+
+const DEFAULT_ORDER = ["e.date DESC", "e.created_at DESC", "e.id DESC"];
+
+// Parse `sort=-fatalities,date` into ORDER BY terms. A leading "-" sorts
+// descending. The id is appended as a tiebreaker so pages are stable.
+function parseSort(value, available) {
+  const terms = [];
+  const keys = new Set();
+
+  for (const part of parseList(value)) {
+    const descending = part.startsWith("-");
+    const key = descending ? part.slice(1) : part;
+    if (!SORT_COLUMNS[key] || !available(key) || keys.has(key)) return null;
+    keys.add(key);
+    terms.push(`${SORT_COLUMNS[key]} ${descending ? "DESC" : "ASC"}`);
+  }
+
+  if (terms.length === 0) return null;
+  if (!keys.has("id")) terms.push("e.id DESC");
+  return terms;
+}
+
+function isLatitude(value) {
+  return value >= -90 && value <= 90;
+}
+
+function isLongitude(value) {
+  return value >= -180 && value <= 180;
+}
+
+// Great-circle distance in km from the given point to the event (haversine).
+// Uses only functions available in both PostgreSQL and SQLite.
+function distanceExpression(latParam, lonParam) {
+  return `(${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(e.latitude - ${latParam}) / 2), 2) +
+    COS(RADIANS(${latParam})) * COS(RADIANS(e.latitude)) *
+    POWER(SIN(RADIANS(e.longitude - ${lonParam}) / 2), 2)
+  )))`;
+}
+
+// Build the WHERE conditions for GET /api/events style query parameters.
+// Returns { joins, conditions, params, selects, orderBy } or
+// { error, status } when the parameters are invalid or not allowed for the
+// user. `orderBy` is the full ORDER BY list: the `sort` keys when given,
+// otherwise search relevance (with `q`) and then newest first.
+function buildEventFilters(query, user) {
+  const {
+    country,
+    event_type,
+    start_date,
+    end_date,
+    date_mode = "overlap",
+    include_deleted,
+    bbox,
+    near,
+    radius_km,
+    q,
+    match = "fuzzy",
+    min_fatalities,
+    max_fatalities,
+    created_by,
+    sort,
+    country_code,
+    region,
+    subregion,
+    actor,
+    actor_role,
+    source,
+    reliability,
+    has_sources,
+    tags,
+    tags_mode = "any",
+    status,
+  } = query;
+
+  const joins = [];
+  const conditions = [];
+  const params = [];
+  const selects = [];
+  const orderBy = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const deletedMode = parseDeletedMode(include_deleted);
+  if (!deletedMode) {
+    return {
+      error: "include_deleted must be true, false or only",
+      status: 400,
+    };
+  }
+  if (deletedMode !== "exclude" && (!user || user.role !== "admin")) {
+    return { error: "Insufficient permissions", status: 403 };
+  }
+  if (DELETED_CONDITIONS[deletedMode]) {
+    conditions.push(DELETED_CONDITIONS[deletedMode]);
+  }
+
+  // Unpublished events are only visible to admins and their editors, so
+  // every query built here is limited to what the user may see
+  const visibility = visibilityCondition(user, addParam);
+  if (visibility) conditions.push(visibility);
+
+  // Workflow status, e.g. the review queue: status=submitted,verified
+  if (status !== undefined) {
+    const statuses = parseList(status);
+    if (
+      statuses.length === 0 ||
+      statuses.some((value) => !EVENT_STATUSES.includes(value))
+    ) {
+      return {
+        error: `status must list statuses from ${EVENT_STATUSES.join(", ")}`,
+        status: 400,
+      };
+    }
+    conditions.push(
+      `e.status IN (${statuses.map((value) => addParam(value)).join(", ")})`
+    );
+  }
+
+  if (!["exact", "fuzzy"].includes(match)) {
+    return { error: "match must be exact or fuzzy", status: 400 };
+  }
+
+  // Comma separated values match any of them: country=Syria,Yemen
+  if (country && parseList(country).length) {
+    conditions.push(
+      textCondition("e.country", parseList(country), match, addParam)
+    );
+  }
+
+  if (event_type && parseList(event_type).length) {
+    conditions.push(
+      textCondition("e.event_type", parseList(event_type), match, addParam)
+    );
+  }
+
+  // ISO codes, alpha-3 or alpha-2: country_code=SYR,YE
+  if (country_code !== undefined) {
+    const codes = parseList(country_code);
+    const countries = codes.map(findCountryByCode);
+    if (codes.length === 0 || countries.includes(null)) {
+      return {
+        error: "country_code must list ISO 3166-1 country codes",
+        status: 400,
+      };
+    }
+    conditions.push(
+      `e.country_code IN (${countries
+        .map((country) => addParam(country.code))
+        .join(", ")})`
+    );
+  }
+
+  // UN region and subregion names, through the country reference
+  for (const [column, value] of [
+    ["region", region],
+    ["subregion", subregion],
+  ]) {
+    if (value === undefined || parseList(value).length === 0) continue;
+    const names = parseList(value).map((name) => `LOWER(${addParam(name)})`);
+    conditions.push(
+      `e.country_code IN (SELECT code FROM countries WHERE LOWER(${column}) IN (${names.join(
+        ", "
+      )}))`
+    );
+  }
+
+  // Fatality range, inclusive
+  const minFatalities =
+    min_fatalities === undefined ? null : parseCount(min_fatalities);
+  const maxFatalities =
+    max_fatalities === undefined ? null : parseCount(max_fatalities);
+  if (
+    (min_fatalities !== undefined && minFatalities === null) ||
+    (max_fatalities !== undefined && maxFatalities === null)
+  ) {
+    return {
+      error: "min_fatalities and max_fatalities must be non-negative integers",
+      status: 400,
+    };
+  }
+  if (
+    minFatalities !== null &&
+    maxFatalities !== null &&
+    minFatalities > maxFatalities
+  ) {
+    return {
+      error: "min_fatalities cannot be greater than max_fatalities",
+      status: 400,
+    };
+  }
+  if (minFatalities !== null) {
+    conditions.push(`e.fatalities >= ${addParam(minFatalities)}`);
+  }
+  if (maxFatalities !== null) {
+    conditions.push(`e.fatalities <= ${addParam(maxFatalities)}`);
+  }
+
+  // Creator by user id or username: created_by=1,analyst
+  if (created_by !== undefined) {
+    const creators = parseList(created_by);
+    if (creators.length === 0) {
+      return {
+        error: "created_by must list user ids or usernames",
+        status: 400,
+      };
+    }
+
+    const ids = creators.filter((creator) => /^\d+$/.test(creator));
+    const usernames = creators.filter((creator) => !/^\d+$/.test(creator));
+    const matches = [];
+    if (ids.length) {
+      matches.push(
+        `e.created_by IN (${ids
+          .map((id) => addParam(parseInt(id)))
+          .join(", ")})`
+      );
+    }
+    if (usernames.length) {
+      matches.push(
+        `e.created_by IN (SELECT id FROM users WHERE LOWER(username) IN (${usernames
+          .map((username) => `LOWER(${addParam(username)})`)
+          .join(", ")}))`
+      );
+    }
+    conditions.push(
+      matches.length > 1 ? `(${matches.join(" OR ")})` : matches[0]
+    );
+  }
+
+  // Actors by id, name or alias, optionally in a given role: actor=12,Wagner Group.
+  // actor_role alone keeps events with any actor in that role.
+  if (actor_role !== undefined && !ACTOR_ROLES.includes(actor_role)) {
+    return {
+      error: `actor_role must be one of: ${ACTOR_ROLES.join(", ")}`,
+      status: 400,
+    };
+  }
+  if (actor !== undefined || actor_role !== undefined) {
+    const links = [];
+    if (actor !== undefined) {
+      const actors = parseList(actor);
+      if (actors.length === 0) {
+        return { error: "actor must list actor ids or names", status: 400 };
+      }
+
+      const ids = actors.filter((entry) => /^\d+$/.test(entry));
+      const names = actors.filter((entry) => !/^\d+$/.test(entry));
+      const matches = [];
+      if (ids.length) {
+        matches.push(
+          `ea.actor_id IN (${ids
+            .map((id) => addParam(parseInt(id)))
+            .join(", ")})`
+        );
+      }
+      if (names.length) {
+        // Aliases are matched as quoted strings within their JSON text
+        const nameMatches = names.map((name) => {
+          const alias = addParam(`%${JSON.stringify(name.toLowerCase())}%`);
+          return `LOWER(name) = LOWER(${addParam(
+            name
+          )}) OR LOWER(CAST(aliases AS TEXT)) LIKE ${alias}`;
+        });
+        matches.push(
+          `ea.actor_id IN (SELECT id FROM actors WHERE ${nameMatches.join(
+            " OR "
+          )})`
+        );
+      }
+      links.push(matches.length > 1 ? `(${matches.join(" OR ")})` : matches[0]);
+    }
+    if (actor_role !== undefined) {
+      links.push(`ea.role = ${addParam(actor_role)}`);
+    }
+    conditions.push(
+      `e.id IN (SELECT ea.event_id FROM event_actors ea WHERE ${links.join(
+        " AND "
+      )})`
+    );
+  }
+
+  // Sources by url or publication text and reliability grade. Given
+  // together, one source has to satisfy both: source=reuters&reliability=A,B
+  const sourceMatches = [];
+  if (source !== undefined) {
+    const sources = parseList(source);
+    if (sources.length === 0) {
+      return { error: "source must list urls or publications", status: 400 };
+    }
+    sourceMatches.push(
+      `(${textCondition("s.url", sources, match, addParam)} OR ${textCondition(
+        "s.publication",
+        sources,
+        match,
+        addParam
+      )})`
+    );
+  }
+  if (reliability !== undefined) {
+    const grades = parseList(reliability).map((grade) => grade.toUpperCase());
+    if (
+      grades.length === 0 ||
+      grades.some((grade) => !RELIABILITY_GRADES.includes(grade))
+    ) {
+      return {
+        error: `reliability must list grades from ${RELIABILITY_GRADES.join(
+          ", "
+        )}`,
+        status: 400,
+      };
+    }
+    sourceMatches.push(
+      `s.reliability IN (${grades.map((grade) => addParam(grade)).join(", ")})`
+    );
+  }
+  if (sourceMatches.length) {
+    conditions.push(
+      `e.id IN (SELECT s.event_id FROM event_sources s WHERE ${sourceMatches.join(
+        " AND "
+      )})`
+    );
+  }
+
+  // has_sources=false finds events nobody has cited yet
+  if (has_sources !== undefined) {
+    if (!["true", "false"].includes(has_sources)) {
+      return { error: "has_sources must be true or false", status: 400 };
+    }
+    conditions.push(
+      `${
+        has_sources === "true" ? "" : "NOT "
+      }EXISTS (SELECT 1 FROM event_sources s WHERE s.event_id = e.id)`
+    );
+  }
+
+  // Tags by name: tags=cross-border,election-related matches events with any
+  // of them, or with every one of them when tags_mode=all
+  if (!["any", "all"].includes(tags_mode)) {
+    return { error: "tags_mode must be any or all", status: 400 };
+  }
+  if (tags !== undefined) {
+    const names = parseList(tags).map(normalizeTagName);
+    if (names.length === 0 || names.includes(null)) {
+      return {
+        error: `tags must list tag names (${TAG_NAME_RULE})`,
+        status: 400,
+      };
+    }
+    const unique = [...new Set(names)];
+    const tagged = `SELECT et.event_id FROM event_tags et
+      JOIN tags t ON t.id = et.tag_id
+      WHERE t.name IN (${unique.map((name) => addParam(name)).join(", ")})`;
+    conditions.push(
+      tags_mode === "all" && unique.length > 1
+        ? `e.id IN (${tagged} GROUP BY et.event_id HAVING COUNT(*) = ${addParam(
+            unique.length
+          )})`
+        : `e.id IN (${tagged})`
+    );
+  }
+
+  // Dates are compared against the span from date to date_end
+  if (!DATE_MODES.includes(date_mode)) {
+    return {
+      error: `date_mode must be one of ${DATE_MODES.join(", ")}`,
+      status: 400,
+    };
+  }
+  const lastDay = "COALESCE(e.date_end, e.date)";
+
+  if (start_date) {
+    conditions.push(
+      `${date_mode === "overlap" ? lastDay : "e.date"} >= ${addParam(
+        start_date
+      )}`
+    );
+  }
+
+  if (end_date) {
+    conditions.push(
+      `${date_mode === "overlap" ? "e.date" : lastDay} <= ${addParam(end_date)}`
+    );
+  }
+
+  // Bounding box: bbox=minLon,minLat,maxLon,maxLat
+  if (bbox !== undefined) {
+    const box = parseNumberList(bbox, 4);
+    if (
+      !box ||
+      !isLongitude(box[0]) ||
+      !isLongitude(box[2]) ||
+      !isLatitude(box[1]) ||
+      !isLatitude(box[3]) ||
+      box[1] > box[3]
+    ) {
+      return {
+        error: "bbox must be minLon,minLat,maxLon,maxLat",
+        status: 400,
+      };
+    }
+
+    const [minLon, minLat, maxLon, maxLat] = box;
+    conditions.push(
+      `e.latitude BETWEEN ${addParam(minLat)} AND ${addParam(maxLat)}`
+    );
+    // A box with minLon > maxLon crosses the antimeridian
+    conditions.push(
+      minLon <= maxLon
+        ? `e.longitude BETWEEN ${addParam(minLon)} AND ${addParam(maxLon)}`
+        : `(e.longitude >= ${addParam(minLon)} OR e.longitude <= ${addParam(
+            maxLon
+          )})`
+    );
+  }
+
+  // Radius search: near=lat,lon&radius_km=50
+  if (near !== undefined) {
+    const point = parseNumberList(near, 2);
+    const radius = Number(radius_km);
+    if (!point || !isLatitude(point[0]) || !isLongitude(point[1])) {
+      return { error: "near must be lat,lon", status: 400 };
+    }
+    if (radius_km === undefined || !Number.isFinite(radius) || radius <= 0) {
+      return {
+        error: "radius_km must be a positive number when near is given",
+        status: 400,
+      };
+    }
+
+    const [lat, lon] = point;
+    const latParam = addParam(lat);
+    const lonParam = addParam(lon);
+
+    // Cheap latitude band first so the location index can be used
+    const latDelta = radius / KM_PER_DEGREE_LATITUDE;
+    conditions.push(
+      `e.latitude BETWEEN ${addParam(lat - latDelta)} AND ${addParam(
+        lat + latDelta
+      )}`
+    );
+    conditions.push(
+      `${distanceExpression(latParam, lonParam)} <= ${addParam(radius)}`
+    );
+    selects.push(`${distanceExpression(latParam, lonParam)} AS distance_km`);
+  }
+
+  // Full-text search, ranked best match first
+  if (q !== undefined) {
+    const search = buildSearchClauses(db.type, String(q), addParam);
+    if (!search) {
+      return { error: "q must contain at least one search term", status: 400 };
+    }
+    joins.push(...search.joins);
+    conditions.push(...search.conditions);
+    selects.push(...search.selects);
+    orderBy.push(...search.orderBy);
+  }
+
+  if (sort !== undefined) {
+    const available = (key) =>
+      (key !== "relevance" || q !== undefined) &&
+      (key !== "distance" || near !== undefined);
+    const sortTerms = parseSort(sort, available);
+    if (!sortTerms) {
+      return {
+        error: `sort must list keys from ${Object.keys(SORT_COLUMNS).join(
+          ", "
+        )}, each optionally prefixed with -`,
+        status: 400,
+      };
+    }
+    orderBy.splice(0, orderBy.length, ...sortTerms);
+  } else {
+    orderBy.push(...DEFAULT_ORDER);
+  }
+
+  return { joins, conditions, params, selects, orderBy };
+}
+
+// Render conditions as a WHERE clause
+function whereClause(conditions) {
+  return conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+}
+
+module.exports = {
+  buildEventFilters,
+  whereClause,
+};
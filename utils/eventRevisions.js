@@ -0,0 +1,112 @@
+const db = require("../config/database");
+const { loadEventActors } = require("./actors");
+const { loadEventSources } = require("./eventSources");
+const { parseJsonColumn } = require("./json");
+
+// Load the raw event row, with its actors and sources, used as a revision
+// snapshot
+async function loadEventSnapshot(client, eventId) {
+  const result = await client.query("SELECT * FROM events WHERE id = $1", [
+    eventId,
+  ]);
+  if (!result.rows[0]) return null;
+  return {
+    ...result.rows[0],
+    actors: await loadEventActors(client, eventId),
+    sources: await loadEventSources(client, eventId),
+  };
+}
+
+// Record a before/after snapshot of an event. `client` is either `db` or the
+// transaction object handed out by `db.transaction`.
+async function recordRevision(
+  client,
+  { eventId, action, before = null, after = null, userId, comment = null }
+) {
+  await client.query(
+    `
+    INSERT INTO event_revisions (event_id, action, before_data, after_data, comment, changed_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `,
+    [
+      eventId,
+      action,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      comment,
+      userId,
+    ]
+  );
+}
+
+// List the fields that differ between two snapshots
+function diffSnapshots(before, after) {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    if (field === "updated_at") continue;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  }
+
+  return changes;
+}
+
+function formatRevision(row) {
+  const before = parseJsonColumn(row.before_data);
+  const after = parseJsonColumn(row.after_data);
+
+  return {
+    id: row.id,
+    event_id: row.event_id,
+    action: row.action,
+    comment: row.comment,
+    changed_by: row.changed_by,
+    changed_by_username: row.changed_by_username,
+    changed_at: row.changed_at,
+    before,
+    after,
+    changes: diffSnapshots(before, after),
+  };
+}
+
+// Fetch the revision history of an event, newest first. The history of
+// duplicates merged into the event is included; their revisions keep their
+// own event_id.
+async function listRevisions(eventId) {
+  const result = await db.query(
+    `
+    SELECT r.*, u.username as changed_by_username
+    FROM event_revisions r
+    LEFT JOIN users u ON r.changed_by = u.id
+    WHERE r.event_id = $1
+      OR r.event_id IN (SELECT id FROM events WHERE merged_into_id = $1)
+    ORDER BY r.changed_at DESC, r.id DESC
+  `,
+    [eventId]
+  );
+  return result.rows.map(formatRevision);
+}
+
+async function findRevision(eventId, revisionId) {
+  const result = await db.query(
+    "SELECT * FROM event_revisions WHERE id = $1 AND event_id = $2",
+    [revisionId, eventId]
+  );
+  return result.rows[0] ? formatRevision(result.rows[0]) : null;
+}
+
+module.exports = {
+  loadEventSnapshot,
+  recordRevision,
+  listRevisions,
+  findRevision,
+};
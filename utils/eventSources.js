@@ -0,0 +1,141 @@
+// Source citations of events. Each source names a URL and/or a publication,
+// when it was accessed and how reliable it is, graded on the Admiralty scale.
+const { isDay } = require("./timeBuckets");
+
+// A completely reliable ... E unreliable, F reliability cannot be judged
+const RELIABILITY_GRADES = ["A", "B", "C", "D", "E", "F"];
+
+const MAX_URL_LENGTH = 2048;
+const MAX_PUBLICATION_LENGTH = 255;
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function optionalText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+// Validate the `sources` list of an event payload. Returns { sources } with
+// normalised entries, or { error }.
+function parseSourceList(value) {
+  if (!Array.isArray(value)) {
+    return { error: "sources must be an array of source objects" };
+  }
+
+  const sources = [];
+  for (const entry of value) {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      return { error: "sources must be an array of source objects" };
+    }
+
+    const url = optionalText(entry.url);
+    const publication = optionalText(entry.publication);
+    if (!url && !publication) {
+      return { error: "Each source needs a url or a publication" };
+    }
+    if (url && (url.length > MAX_URL_LENGTH || !isHttpUrl(url))) {
+      return { error: "Source url must be an http(s) URL" };
+    }
+    if (publication && publication.length > MAX_PUBLICATION_LENGTH) {
+      return {
+        error: `Source publication must be at most ${MAX_PUBLICATION_LENGTH} characters`,
+      };
+    }
+
+    const reliability = String(entry.reliability || "").toUpperCase();
+    if (!RELIABILITY_GRADES.includes(reliability)) {
+      return {
+        error: `Source reliability must be one of ${RELIABILITY_GRADES.join(
+          ", "
+        )}`,
+      };
+    }
+
+    // The access date defaults to today, when the citation is recorded
+    const accessedAt =
+      optionalText(entry.accessed_at) || new Date().toISOString().slice(0, 10);
+    if (!isDay(accessedAt)) {
+      return { error: "Source accessed_at must be a date (YYYY-MM-DD)" };
+    }
+
+    sources.push({ url, publication, accessed_at: accessedAt, reliability });
+  }
+  return { sources };
+}
+
+// Replace the sources of an event. Sources are always written as a whole
+// list, so their row ids are not exposed.
+async function setEventSources(client, eventId, sources) {
+  await client.query("DELETE FROM event_sources WHERE event_id = $1", [
+    eventId,
+  ]);
+
+  for (const source of sources) {
+    await client.query(
+      `
+      INSERT INTO event_sources (event_id, url, publication, accessed_at, reliability)
+      VALUES ($1, $2, $3, $4, $5)
+    `,
+      [
+        eventId,
+        source.url,
+        source.publication,
+        source.accessed_at,
+        source.reliability,
+      ]
+    );
+  }
+}
+
+// Sources of an event in the order they were cited
+async function loadEventSources(client, eventId) {
+  const result = await client.query(
+    `
+    SELECT url, publication, CAST(accessed_at AS TEXT) as accessed_at, reliability
+    FROM event_sources
+    WHERE event_id = $1
+    ORDER BY id
+  `,
+    [eventId]
+  );
+  return result.rows;
+}
+
+// Select expression giving the sources of `e` as a JSON array, in the same
+// order as loadEventSources. SQLite returns it as text.
+function eventSourcesExpression(dbType) {
+  if (dbType === "postgresql") {
+    return `(
+      SELECT COALESCE(json_agg(json_build_object(
+        'url', s.url, 'publication', s.publication,
+        'accessed_at', CAST(s.accessed_at AS TEXT), 'reliability', s.reliability
+      ) ORDER BY s.id), '[]')
+      FROM event_sources s
+      WHERE s.event_id = e.id
+    )`;
+  }
+  return `(
+    SELECT json_group_array(json_object(
+      'url', url, 'publication', publication,
+      'accessed_at', accessed_at, 'reliability', reliability
+    ))
+    FROM (
+      SELECT * FROM event_sources s WHERE s.event_id = e.id ORDER BY s.id
+    )
+  )`;
+}
+
+module.exports = {
+  RELIABILITY_GRADES,
+  parseSourceList,
+  setEventSources,
+  loadEventSources,
+  eventSourcesExpression,
+};
@@ -0,0 +1,112 @@
+// Event-type taxonomy: the event_types table holds the allowed types, each
+// optionally a sub-type of another. Events keep the type name itself, so
+// renaming or merging a type rewrites the events that use it.
+const db = require("../config/database");
+const { loadEventSnapshot, recordRevision } = require("./eventRevisions");
+
+// Taxonomy seeded on a fresh database. Sub-types name their parent.
+const DEFAULT_EVENT_TYPES = [
+  {
+    name: "Armed Conflict",
+    description: "Fighting between organised armed groups",
+  },
+  { name: "Civil Unrest", description: "Protests, riots and crackdowns" },
+  { name: "Terrorism", description: "Attacks by non-state armed groups" },
+  { name: "Border Dispute", description: "Clashes over contested borders" },
+  { name: "Other", description: "Events that fit no other type" },
+  {
+    name: "Military Action",
+    parent: "Armed Conflict",
+    description: "Strikes and operations by state forces",
+  },
+  {
+    name: "Terrorist Attack",
+    parent: "Terrorism",
+    description: "A single attack such as a bombing",
+  },
+];
+
+function typeKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+// Load the taxonomy as a map from lowercased name to stored name
+async function loadEventTypes(client = db) {
+  const result = await client.query("SELECT name FROM event_types");
+  return new Map(result.rows.map(({ name }) => [typeKey(name), name]));
+}
+
+// The stored name of a type, matched case-insensitively, or null
+function resolveEventType(types, value) {
+  if (value === undefined || value === null) return null;
+  return types.get(typeKey(value)) || null;
+}
+
+// Nest flat event_types rows under their parents, sorted by name
+function buildEventTypeTree(rows) {
+  const nodes = new Map(rows.map((row) => [row.id, { ...row, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_id);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach((node) => sortNodes(node.children));
+    return list;
+  };
+  return sortNodes(roots);
+}
+
+// Ids of a type and every sub-type below it
+function descendantIds(rows, id) {
+  const ids = new Set([id]);
+  let added = true;
+  while (added) {
+    added = false;
+    for (const row of rows) {
+      if (ids.has(row.parent_id) && !ids.has(row.id)) {
+        ids.add(row.id);
+        added = true;
+      }
+    }
+  }
+  return ids;
+}
+
+// Move every event of type `from` to type `to`, recording an update revision
+// for each one. Returns the number of events changed.
+async function retypeEvents(client, { from, to, userId, comment }) {
+  const result = await client.query(
+    "SELECT id FROM events WHERE LOWER(event_type) = LOWER($1) ORDER BY id",
+    [from]
+  );
+
+  for (const { id } of result.rows) {
+    const before = await loadEventSnapshot(client, id);
+    await client.query(
+      "UPDATE events SET event_type = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+      [to, id]
+    );
+    await recordRevision(client, {
+      eventId: id,
+      action: "update",
+      before,
+      after: await loadEventSnapshot(client, id),
+      userId,
+      comment,
+    });
+  }
+
+  return result.rows.length;
+}
+
+module.exports = {
+  DEFAULT_EVENT_TYPES,
+  loadEventTypes,
+  resolveEventType,
+  buildEventTypeTree,
+  descendantIds,
+  retypeEvents,
+};
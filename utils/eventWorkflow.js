@@ -0,0 +1,164 @@
+// Editorial workflow of events. Editors draft events and submit them for
+// review; admins verify, publish or reject them. Only published events are
+// visible to plain users.
+const { recordRevision, loadEventSnapshot } = require("./eventRevisions");
+
+const EVENT_STATUSES = [
+  "draft",
+  "submitted",
+  "verified",
+  "published",
+  "rejected",
+];
+
+// Statuses an event may be created in, by role. Editors cannot publish.
+const CREATE_STATUSES = {
+  editor: ["draft", "submitted"],
+  admin: EVENT_STATUSES.filter((status) => status !== "rejected"),
+};
+
+// Editors may change their own events until they are submitted, and again
+// once they have been rejected
+const EDITABLE_STATUSES = ["draft", "rejected"];
+
+// Workflow actions: who may take them and the status each one moves an event
+// to from the statuses it applies to. Approving moves a submitted event to
+// verified and a verified one to published.
+const WORKFLOW_ACTIONS = {
+  submit: {
+    roles: ["editor", "admin"],
+    next: { draft: "submitted", rejected: "submitted" },
+  },
+  approve: {
+    roles: ["admin"],
+    next: { submitted: "verified", verified: "published" },
+  },
+  reject: {
+    roles: ["admin"],
+    next: { submitted: "rejected", verified: "rejected" },
+    commentRequired: true,
+  },
+};
+
+// The status a new event starts in. Admins publish directly unless they ask
+// for another status; editors always start from a draft or a submission.
+// Returns { status } or { error }.
+function initialStatus(user, requested) {
+  const allowed = CREATE_STATUSES[user.role] || [];
+  if (requested === undefined) {
+    return { status: user.role === "admin" ? "published" : "draft" };
+  }
+  if (!allowed.includes(requested)) {
+    return { error: `status must be one of ${allowed.join(", ")}` };
+  }
+  return { status: requested };
+}
+
+// SQL condition limiting `e` to the events a user may see: admins see every
+// status, editors published events and their own, users only published ones.
+// Returns null when no condition is needed.
+function visibilityCondition(user, addParam) {
+  if (user && user.role === "admin") return null;
+  if (user && user.role === "editor") {
+    return `(e.status = 'published' OR e.created_by = ${addParam(user.id)})`;
+  }
+  return "e.status = 'published'";
+}
+
+// The same rule as visibilityCondition, for a loaded event row
+function canViewEvent(user, event) {
+  if (user.role === "admin" || event.status === "published") return true;
+  return user.role === "editor" && event.created_by === user.id;
+}
+
+// Whether a user may change an event's content
+function canEditEvent(user, event) {
+  if (user.role === "admin") return true;
+  return (
+    user.role === "editor" &&
+    event.created_by === user.id &&
+    EDITABLE_STATUSES.includes(event.status)
+  );
+}
+
+// Apply a workflow action to an event: move it to its next status, log the
+// review and record a revision. Returns { event, review } or
+// { status, message } when the action is not allowed.
+async function transitionEvent(client, { eventId, action, comment, user }) {
+  const { roles, next, commentRequired } = WORKFLOW_ACTIONS[action];
+  if (!roles.includes(user.role)) {
+    return { status: 403, message: "Insufficient permissions" };
+  }
+  if (commentRequired && !comment) {
+    return { status: 400, message: `A comment is required to ${action}` };
+  }
+
+  const before = await loadEventSnapshot(client, eventId);
+  if (!before || before.deleted_at || !canViewEvent(user, before)) {
+    return { status: 404, message: "Event not found" };
+  }
+  if (user.role === "editor" && before.created_by !== user.id) {
+    return {
+      status: 403,
+      message: "Editors can only submit their own events",
+    };
+  }
+
+  const toStatus = next[before.status];
+  if (!toStatus) {
+    return {
+      status: 409,
+      message: `Cannot ${action} an event that is ${before.status}`,
+    };
+  }
+
+  await client.query(
+    "UPDATE events SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+    [toStatus, eventId]
+  );
+  await client.query(
+    `
+    INSERT INTO event_reviews (event_id, action, from_status, to_status, comment, reviewed_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `,
+    [eventId, action, before.status, toStatus, comment || null, user.id]
+  );
+
+  const after = await loadEventSnapshot(client, eventId);
+  await recordRevision(client, {
+    eventId,
+    action,
+    before,
+    after,
+    userId: user.id,
+    comment: comment || null,
+  });
+
+  return { event: after };
+}
+
+// Review log of an event, oldest first
+async function listReviews(client, eventId) {
+  const result = await client.query(
+    `
+    SELECT r.*, u.username as reviewed_by_username
+    FROM event_reviews r
+    LEFT JOIN users u ON r.reviewed_by = u.id
+    WHERE r.event_id = $1
+    ORDER BY r.reviewed_at, r.id
+  `,
+    [eventId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  EVENT_STATUSES,
+  WORKFLOW_ACTIONS,
+  initialStatus,
+  visibilityCondition,
+  canViewEvent,
+  canEditEvent,
+  transitionEvent,
+  listReviews,
+};
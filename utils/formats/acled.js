@@ -0,0 +1,117 @@
+// ACLED (Armed Conflict Location & Event Data) column layout
+const {
+  toIsoDate,
+  toYear,
+  externalId,
+  importedType,
+  actorName,
+  actorsFromColumns,
+} = require("./common");
+
+// ACLED event types onto our event types
+const EVENT_TYPES_IN = {
+  battles: "Armed Conflict",
+  "explosions/remote violence": "Armed Conflict",
+  "violence against civilians": "Other",
+  protests: "Civil Unrest",
+  riots: "Civil Unrest",
+  "strategic developments": "Other",
+};
+
+// Our event types onto the closest ACLED event type
+const EVENT_TYPES_OUT = {
+  "armed conflict": "Battles",
+  "military action": "Explosions/Remote violence",
+  "civil unrest": "Protests",
+  terrorism: "Explosions/Remote violence",
+  "terrorist attack": "Explosions/Remote violence",
+  "border dispute": "Battles",
+  other: "Strategic developments",
+};
+
+// time_precision: 1 the day is known, 2 only the week, 3 only the month.
+// ACLED has nothing coarser, so year precision events are written as 3.
+const DATE_PRECISIONS_IN = { 1: "day", 2: "week", 3: "month" };
+
+const DATE_PRECISIONS_OUT = { day: 1, week: 2, month: 3, year: 3 };
+
+const COLUMNS = [
+  "event_id_cnty",
+  "event_date",
+  "year",
+  "time_precision",
+  "event_type",
+  "actor1",
+  "actor2",
+  "country",
+  "latitude",
+  "longitude",
+  "notes",
+  "fatalities",
+  "source",
+];
+
+// ACLED lists its sources as publication names separated by semicolons and
+// does not grade them, so imported sources are graded F (cannot be judged)
+function sourcesFromColumn(value) {
+  if (!value) return undefined;
+  return String(value)
+    .split(";")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((publication) => ({ publication, reliability: "F" }));
+}
+
+function sourceColumn(event) {
+  const names = (event.sources || []).map(
+    (source) => source.publication || source.url
+  );
+  return names.length ? names.join("; ") : null;
+}
+
+function toEvent(row) {
+  const eventType = row.event_type
+    ? EVENT_TYPES_IN[String(row.event_type).toLowerCase()] || row.event_type
+    : undefined;
+
+  return {
+    external_id: row.event_id_cnty,
+    external_type: row.event_type,
+    country: row.country,
+    event_type: eventType,
+    fatalities: row.fatalities,
+    date: toIsoDate(row.event_date),
+    date_precision: DATE_PRECISIONS_IN[row.time_precision],
+    description: row.notes,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    actors: actorsFromColumns([
+      [row.actor1, "actor1"],
+      [row.actor2, "actor2"],
+    ]),
+    sources: sourcesFromColumn(row.source),
+  };
+}
+
+function fromEvent(event) {
+  return {
+    event_id_cnty: externalId(event, "acled"),
+    event_date: toIsoDate(event.date),
+    year: toYear(event.date),
+    time_precision: DATE_PRECISIONS_OUT[event.date_precision] || 1,
+    event_type:
+      importedType(event, "acled", EVENT_TYPES_IN) ||
+      EVENT_TYPES_OUT[String(event.event_type).toLowerCase()] ||
+      event.event_type,
+    actor1: actorName(event, "actor1"),
+    actor2: actorName(event, "actor2"),
+    country: event.country,
+    latitude: event.latitude,
+    longitude: event.longitude,
+    notes: event.description,
+    fatalities: event.fatalities,
+    source: sourceColumn(event),
+  };
+}
+
+module.exports = { name: "acled", columns: COLUMNS, toEvent, fromEvent };
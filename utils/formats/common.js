@@ -0,0 +1,88 @@
+// Helpers shared by the external format adapters
+const { toDay } = require("../eventDates");
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+// Normalise a date to YYYY-MM-DD. Accepts ISO dates (optionally with a time
+// part), Date objects and the "15 January 2024" style used in ACLED exports.
+// Anything else is returned unchanged so validation can reject it.
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (value instanceof Date) return toDay(value);
+
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ].*)?$/);
+  if (iso) return iso[1];
+
+  const written = text.match(/^(\d{1,2})[\s-]+([A-Za-z]+)[\s-]+(\d{4})$/);
+  if (written) {
+    const month = MONTHS.findIndex((name) =>
+      name.startsWith(written[2].toLowerCase())
+    );
+    if (month !== -1 && written[2].length >= 3) {
+      const monthPart = String(month + 1).padStart(2, "0");
+      return `${written[3]}-${monthPart}-${written[1].padStart(2, "0")}`;
+    }
+  }
+
+  return text;
+}
+
+// Year part of a date value, for the `year` column both formats carry
+function toYear(value) {
+  const date = toIsoDate(value);
+  return date ? date.slice(0, 4) : null;
+}
+
+// The id an event had in the `source` dataset it was imported from, or our
+// own id when it did not come from there
+function externalId(event, source) {
+  return event.external_source === source && event.external_id
+    ? event.external_id
+    : event.id;
+}
+
+// The type an event had in the `source` dataset it was imported from, while
+// `typesIn`, the adapter's map onto our types, still leads to the event's
+// type; null when it did not come from there or has been retyped since
+function importedType(event, source, typesIn) {
+  if (event.external_source !== source || !event.external_type) return null;
+  const mapped =
+    typesIn[String(event.external_type).toLowerCase()] || event.external_type;
+  return mapped.toLowerCase() === String(event.event_type).toLowerCase()
+    ? event.external_type
+    : null;
+}
+
+// Name of the actor holding a role in an event's `actors` list, if any
+function actorName(event, role) {
+  const actor = (event.actors || []).find((entry) => entry.role === role);
+  return actor ? actor.name : null;
+}
+
+// Actor entries for the roles present in an external row
+function actorsFromColumns(pairs) {
+  return pairs.filter(([name]) => name).map(([name, role]) => ({ name, role }));
+}
+
+module.exports = {
+  toIsoDate,
+  toYear,
+  externalId,
+  importedType,
+  actorName,
+  actorsFromColumns,
+};
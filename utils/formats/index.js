@@ -0,0 +1,22 @@
+// Format adapters map external dataset layouts to and from our event model.
+// Each adapter exposes:
+//   columns    - column names written on export, in order
+//   toEvent    - external row -> event payload (plus `actors` and
+//                `sources` lists, and the row's `external_id` and
+//                `external_type`)
+//   fromEvent  - event row -> external row keyed by `columns`
+const acled = require("./acled");
+const ucdp = require("./ucdp");
+
+const FORMAT_ADAPTERS = { acled, ucdp };
+
+function getFormatAdapter(name) {
+  return Object.prototype.hasOwnProperty.call(FORMAT_ADAPTERS, name)
+    ? FORMAT_ADAPTERS[name]
+    : null;
+}
+
+module.exports = {
+  FORMAT_ADAPTERS,
+  getFormatAdapter,
+};
@@ -0,0 +1,133 @@
+// UCDP Georeferenced Event Dataset (GED) column layout
+const {
+  toIsoDate,
+  toYear,
+  externalId,
+  importedType,
+  actorName,
+  actorsFromColumns,
+} = require("./common");
+
+// type_of_violence: 1 state-based, 2 non-state, 3 one-sided
+const EVENT_TYPES_IN = {
+  1: "Armed Conflict",
+  2: "Armed Conflict",
+  3: "Other",
+};
+
+const EVENT_TYPES_OUT = {
+  "armed conflict": 1,
+  "military action": 1,
+  "border dispute": 1,
+  "civil unrest": 2,
+  terrorism: 3,
+  "terrorist attack": 3,
+  other: 3,
+};
+
+// date_prec: 1 exact day, 2 a span of up to six days, 3 a week, 4 a month,
+// 5 longer than a month but within the year
+const DATE_PRECISIONS_IN = {
+  1: "day",
+  2: "day",
+  3: "week",
+  4: "month",
+  5: "year",
+};
+
+const DATE_PRECISIONS_OUT = {
+  day: 1,
+  week: 3,
+  month: 4,
+  year: 5,
+};
+
+const COLUMNS = [
+  "id",
+  "year",
+  "type_of_violence",
+  "side_a",
+  "side_b",
+  "country",
+  "latitude",
+  "longitude",
+  "date_start",
+  "date_end",
+  "date_prec",
+  "deaths_a",
+  "deaths_civilians",
+  "deaths_unknown",
+  "best",
+  "low",
+  "high",
+  "source_headline",
+];
+
+// Combatant deaths are split by side in GED; either side may be missing
+function sumDeaths(...values) {
+  const counts = values.filter((value) => value !== undefined);
+  return counts.length
+    ? counts.reduce((sum, value) => sum + Number(value), 0)
+    : undefined;
+}
+
+function toEvent(row) {
+  const dateStart = toIsoDate(row.date_start);
+  const dateEnd = toIsoDate(row.date_end);
+  return {
+    external_id: row.id,
+    external_type: row.type_of_violence,
+    country: row.country,
+    event_type: EVENT_TYPES_IN[row.type_of_violence] || "Other",
+    fatalities: row.best,
+    fatalities_low: row.low,
+    fatalities_high: row.high,
+    // deaths_a and deaths_b are the combatants of either side
+    fatalities_combatant: sumDeaths(row.deaths_a, row.deaths_b),
+    fatalities_civilian: row.deaths_civilians,
+    fatalities_unknown: row.deaths_unknown,
+    date: dateStart,
+    // GED repeats date_start in date_end for single-day events
+    date_end: dateEnd !== dateStart ? dateEnd : undefined,
+    date_precision: DATE_PRECISIONS_IN[row.date_prec],
+    // GED has no narrative column; the source headline is the closest match
+    description: row.source_headline || row.where_description,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    actors: actorsFromColumns([
+      [row.side_a, "actor1"],
+      [row.side_b, "actor2"],
+    ]),
+  };
+}
+
+function fromEvent(event) {
+  const importedViolence = importedType(event, "ucdp", EVENT_TYPES_IN);
+  return {
+    id: externalId(event, "ucdp"),
+    year: toYear(event.date),
+    type_of_violence:
+      importedViolence !== null
+        ? Number(importedViolence)
+        : EVENT_TYPES_OUT[String(event.event_type).toLowerCase()],
+    side_a: actorName(event, "actor1"),
+    side_b: actorName(event, "actor2"),
+    country: event.country,
+    latitude: event.latitude,
+    longitude: event.longitude,
+    date_start: toIsoDate(event.date),
+    date_end: toIsoDate(event.date_end || event.date),
+    date_prec: DATE_PRECISIONS_OUT[event.date_precision] || 1,
+    // Combatant deaths are not kept by side, so side A carries them all
+    deaths_a: event.fatalities_combatant,
+    deaths_civilians: event.fatalities_civilian,
+    deaths_unknown: event.fatalities_unknown,
+    // Without a low or high estimate the best one stands in for it
+    best: event.fatalities,
+    low: event.fatalities_low ?? event.fatalities,
+    high: event.fatalities_high ?? event.fatalities,
+    source_headline: event.description,
+  };
+}
+
+module.exports = { name: "ucdp", columns: COLUMNS, toEvent, fromEvent };
@@ -0,0 +1,47 @@
+// GeoJSON helpers for event listings (RFC 7946)
+
+const GEOJSON_MEDIA_TYPE = "application/geo+json";
+
+// Whether the client asked for GeoJSON, either with ?format=geojson or by
+// preferring application/geo+json in the Accept header
+function wantsGeoJson(req) {
+  if (req.query.format) return req.query.format === "geojson";
+  return (
+    req.accepts(["application/json", GEOJSON_MEDIA_TYPE]) === GEOJSON_MEDIA_TYPE
+  );
+}
+
+// Turn an event row into a Point feature. Coordinates move into the geometry
+// and every other column becomes a property; events without coordinates get a
+// null geometry as the spec allows.
+function toFeature(event) {
+  const { latitude, longitude, ...properties } = event;
+  const hasLocation =
+    latitude !== null &&
+    latitude !== undefined &&
+    longitude !== null &&
+    longitude !== undefined;
+
+  return {
+    type: "Feature",
+    id: event.id,
+    geometry: hasLocation
+      ? { type: "Point", coordinates: [Number(longitude), Number(latitude)] }
+      : null,
+    properties,
+  };
+}
+
+function toFeatureCollection(events) {
+  return {
+    type: "FeatureCollection",
+    features: events.map(toFeature),
+  };
+}
+
+module.exports = {
+  GEOJSON_MEDIA_TYPE,
+  wantsGeoJson,
+  toFeature,
+  toFeatureCollection,
+};
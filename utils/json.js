@@ -0,0 +1,8 @@
+// PostgreSQL returns JSON and JSONB columns parsed, SQLite returns the stored
+// text. A missing value becomes `fallback`.
+function parseJsonColumn(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+module.exports = { parseJsonColumn };
@@ -0,0 +1,94 @@
+// Build an RFC 8288 Link header (first/prev/next/last) for page based
+// listings, keeping every other query parameter of the current request
+function buildPageLinks(req, { page, pages }) {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get("host")}`);
+  const lastPage = Math.max(pages, 1);
+
+  const linkTo = (targetPage, rel) => {
+    url.searchParams.set("page", targetPage);
+    return `<${url.toString()}>; rel="${rel}"`;
+  };
+
+  const links = [linkTo(1, "first")];
+  if (page > 1) links.push(linkTo(Math.min(page - 1, lastPage), "prev"));
+  if (page < pages) links.push(linkTo(page + 1, "next"));
+  links.push(linkTo(lastPage, "last"));
+
+  return links.join(", ");
+}
+
+// Keyset pagination walks the list order (date, created_at, id), newest
+// first. The sort values are selected as text so a cursor round-trips
+// exactly, then stripped from the rows before they are returned.
+const CURSOR_SELECTS = [
+  "CAST(e.date AS TEXT) AS cursor_date",
+  "CAST(e.created_at AS TEXT) AS cursor_created_at",
+];
+
+// Opaque cursor pointing just past `row`. "next" cursors continue towards
+// older events, "prev" cursors back towards newer ones.
+function encodeCursor(row, direction) {
+  const payload = [row.cursor_date, row.cursor_created_at, row.id, direction];
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+// Returns { date, createdAt, id, direction } or null when the cursor is not
+// one we issued
+function decodeCursor(value) {
+  try {
+    const [date, createdAt, id, direction] = JSON.parse(
+      Buffer.from(String(value), "base64url").toString("utf8")
+    );
+    if (
+      typeof date !== "string" ||
+      typeof createdAt !== "string" ||
+      !Number.isInteger(id) ||
+      !["next", "prev"].includes(direction)
+    ) {
+      return null;
+    }
+    return { date, createdAt, id, direction };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Condition selecting the rows after the cursor in its direction
+function keysetCondition(cursor, addParam) {
+  const op = cursor.direction === "next" ? "<" : ">";
+  const date = addParam(cursor.date);
+  const createdAt = addParam(cursor.createdAt);
+  return `(e.date ${op} ${date} OR (e.date = ${date} AND (e.created_at ${op} ${createdAt} OR (e.created_at = ${createdAt} AND e.id ${op} ${addParam(
+    cursor.id
+  )}))))`;
+}
+
+function stripCursorColumns(rows) {
+  return rows.map(({ cursor_date, cursor_created_at, ...row }) => row);
+}
+
+// Link header with next/prev cursors for cursor based listings
+function buildCursorLinks(req, { next, prev }) {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get("host")}`);
+
+  const linkTo = (cursor, rel) => {
+    url.searchParams.set("cursor", cursor);
+    return `<${url.toString()}>; rel="${rel}"`;
+  };
+
+  const links = [linkTo("", "first")];
+  if (prev) links.push(linkTo(prev, "prev"));
+  if (next) links.push(linkTo(next, "next"));
+
+  return links.join(", ");
+}
+
+module.exports = {
+  CURSOR_SELECTS,
+  buildPageLinks,
+  buildCursorLinks,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  stripCursorColumns,
+};
@@ -0,0 +1,7 @@
+// Parse a route id parameter, returning null when it is not a positive integer
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+module.exports = { parseId };
@@ -0,0 +1,77 @@
+// Helpers shared by the routes managing named records: event types, actors
+// and tags
+const { visibilityCondition } = require("./eventWorkflow");
+
+const MAX_NAME_LENGTH = 255;
+
+// Field checks for validatePayload. Each takes the value from the request
+// body and returns { value } or { error }.
+function checkName(value) {
+  const name = typeof value === "string" ? value.trim() : "";
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return {
+      error: `name must be between 1 and ${MAX_NAME_LENGTH} characters`,
+    };
+  }
+  return { value: name };
+}
+
+function checkDescription(value) {
+  if (value !== null && typeof value !== "string") {
+    return { error: "description must be a string or null" };
+  }
+  return { value };
+}
+
+// Validate a create or update body with a check per field. `name` is
+// required on create; with `partial` set only the fields present are
+// checked. Returns { values } or { error }.
+function validatePayload(body = {}, checks, { partial = false } = {}) {
+  const values = {};
+
+  for (const [field, check] of Object.entries(checks)) {
+    if (body[field] === undefined && (partial || field !== "name")) continue;
+    const { value, error } = check(body[field]);
+    if (error) return { error };
+    values[field] = value;
+  }
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: "No updatable fields provided" };
+  }
+
+  return { values };
+}
+
+// Whether another record of `table` already uses `name`, ignoring case
+async function findNameClash(client, table, name, exceptId = null) {
+  const result = await client.query(
+    `SELECT id FROM ${table} WHERE LOWER(name) = LOWER($1) AND id <> $2`,
+    [name, exceptId || 0]
+  );
+  return result.rows.length > 0;
+}
+
+// Select expression counting the active events that `match` relates to a
+// record, named event_count. Only events `user` may see are counted, so
+// drafts do not show through; values it binds are appended to `params`.
+function eventCountExpression(match, user, params) {
+  const visibility = visibilityCondition(user, (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  });
+  return `(
+    SELECT CAST(COUNT(*) AS INTEGER) FROM events e
+    WHERE ${match} AND e.deleted_at IS NULL
+      ${visibility ? `AND ${visibility}` : ""}
+  ) as event_count`;
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  checkName,
+  checkDescription,
+  validatePayload,
+  findNameClash,
+  eventCountExpression,
+};
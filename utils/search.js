@@ -0,0 +1,111 @@
+// Full-text search over event descriptions. SQLite uses the `events_fts` FTS5
+// table and PostgreSQL a GIN index on searchVector(), both created by
+// config/initDb.js.
+//
+// The `q` syntax is deliberately small and the same on both databases:
+//   artillery strike      both words (AND)
+//   "artillery strike"    the exact phrase
+//   kab*                  any word starting with "kab"
+
+const SNIPPET_START = "<mark>";
+const SNIPPET_END = "</mark>";
+
+// Weighted tsvector over an events row. The index and the queries must use
+// the same expression for PostgreSQL to pick the index.
+function searchVector(alias = "") {
+  const column = (name) => `COALESCE(${alias}${name}, '')`;
+  return `(setweight(to_tsvector('english', ${column(
+    "description"
+  )}), 'A') || setweight(to_tsvector('english', ${column(
+    "country"
+  )}), 'B') || setweight(to_tsvector('english', ${column(
+    "event_type"
+  )}), 'C'))`;
+}
+
+// Words are reduced to letters and digits so nothing the user types can be
+// read as search operator syntax by either engine
+function cleanWords(text) {
+  return text.match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Split a q string into phrase and word terms
+function parseSearchQuery(q) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(q)) !== null) {
+    if (match[1] !== undefined) {
+      const words = cleanWords(match[1]);
+      if (words.length) terms.push({ words, prefix: false });
+    } else {
+      const prefix = match[2].endsWith("*");
+      const words = cleanWords(match[2]);
+      // A word with punctuation inside ("al-Shabaab") is searched as a phrase
+      if (words.length) terms.push({ words, prefix });
+    }
+  }
+
+  return terms;
+}
+
+// FTS5 MATCH expression: every term quoted, prefixes marked with *
+function toFtsMatch(terms) {
+  return terms
+    .map(({ words, prefix }) => `"${words.join(" ")}"${prefix ? "*" : ""}`)
+    .join(" AND ");
+}
+
+// PostgreSQL to_tsquery expression: phrases joined with <->, prefixes :*
+function toTsQuery(terms) {
+  return terms
+    .map(({ words, prefix }) => {
+      const parts = words.map((word, index) =>
+        prefix && index === words.length - 1 ? `${word}:*` : word
+      );
+      return parts.length > 1 ? `(${parts.join(" <-> ")})` : parts[0];
+    })
+    .join(" & ");
+}
+
+// Query fragments for a search. `addParam` binds a value and returns its
+// placeholder. Returns null when q holds no searchable words.
+function buildSearchClauses(dbType, q, addParam) {
+  const terms = parseSearchQuery(q);
+  if (terms.length === 0) return null;
+
+  if (dbType === "postgresql") {
+    const tsQuery = `to_tsquery('english', ${addParam(toTsQuery(terms))})`;
+    const vector = searchVector("e.");
+    return {
+      joins: [],
+      conditions: [`${vector} @@ ${tsQuery}`],
+      selects: [
+        `ts_rank(${vector}, ${tsQuery}) AS search_rank`,
+        `ts_headline('english', COALESCE(e.description, ''), ${tsQuery}, 'StartSel=${SNIPPET_START}, StopSel=${SNIPPET_END}, MaxWords=24, MinWords=8') AS search_snippet`,
+      ],
+      orderBy: ["search_rank DESC"],
+    };
+  }
+
+  // bm25() is lower for better matches, so it is negated to rank like
+  // ts_rank. Column weights favour the description over country and type.
+  return {
+    joins: ["JOIN events_fts ON events_fts.rowid = e.id"],
+    conditions: [`events_fts MATCH ${addParam(toFtsMatch(terms))}`],
+    selects: [
+      "-bm25(events_fts, 1.0, 0.5, 0.25) AS search_rank",
+      `snippet(events_fts, 0, '${SNIPPET_START}', '${SNIPPET_END}', '…', 24) AS search_snippet`,
+    ],
+    orderBy: ["search_rank DESC"],
+  };
+}
+
+module.exports = {
+  searchVector,
+  parseSearchQuery,
+  toFtsMatch,
+  toTsQuery,
+  buildSearchClauses,
+};
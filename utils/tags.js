@@ -0,0 +1,169 @@
+// Free-form tags labelling events, such as `election-related` or
+// `cross-border`. Names are kept lowercase with words joined by hyphens, so
+// "Cross Border" and "cross-border" are the same tag.
+const MAX_TAG_LENGTH = 50;
+const TAG_NAME_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Normalise a tag name, returning null when it is not a valid tag
+function normalizeTagName(value) {
+  if (typeof value !== "string") return null;
+  const name = value
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+  return name.length <= MAX_TAG_LENGTH && TAG_NAME_PATTERN.test(name)
+    ? name
+    : null;
+}
+
+const TAG_NAME_RULE = `letters, digits and hyphens, at most ${MAX_TAG_LENGTH} characters`;
+
+// Validate a list of tag names from a request body. Returns { names },
+// normalised and each once, or { error }.
+function parseTagNames(value, field = "tags") {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: `${field} must be a non-empty array of tag names` };
+  }
+  const names = value.map(normalizeTagName);
+  if (names.includes(null)) {
+    return { error: `Tag names may only contain ${TAG_NAME_RULE}` };
+  }
+  return { names: [...new Set(names)] };
+}
+
+function placeholders(values, offset = 0) {
+  return values.map((value, index) => `$${index + offset + 1}`).join(", ");
+}
+
+// Tags with the given normalised names; names without a tag are left out
+async function findTagsByName(client, names) {
+  if (names.length === 0) return [];
+  const result = await client.query(
+    `SELECT * FROM tags WHERE name IN (${placeholders(names)}) ORDER BY name`,
+    names
+  );
+  return result.rows;
+}
+
+// Tags with the given names, creating the ones that do not exist yet
+async function findOrCreateTags(client, names, userId) {
+  const existing = await findTagsByName(client, names);
+  const known = new Set(existing.map((tag) => tag.name));
+  const missing = names.filter((name) => !known.has(name));
+  for (const name of missing) {
+    await client.query("INSERT INTO tags (name, created_by) VALUES ($1, $2)", [
+      name,
+      userId,
+    ]);
+  }
+  return missing.length ? findTagsByName(client, names) : existing;
+}
+
+// Tags a user adds by name. Admins create the missing ones; everyone else is
+// limited to existing tags. Returns { tags } or { error }.
+async function resolveTagsToAdd(client, names, user) {
+  if (user.role === "admin") {
+    return { tags: await findOrCreateTags(client, names, user.id) };
+  }
+  const tags = await findTagsByName(client, names);
+  const known = new Set(tags.map((tag) => tag.name));
+  const unknown = names.filter((name) => !known.has(name));
+  return unknown.length
+    ? {
+        error: `Only admins can create tags; unknown tags: ${unknown.join(
+          ", "
+        )}`,
+      }
+    : { tags };
+}
+
+// Attach tags to events, skipping links that already exist. Returns the
+// number of links added.
+async function tagEvents(client, eventIds, tagIds, userId) {
+  if (eventIds.length === 0 || tagIds.length === 0) return 0;
+  const existing = await client.query(
+    `
+    SELECT event_id, tag_id FROM event_tags
+    WHERE event_id IN (${placeholders(eventIds)})
+      AND tag_id IN (${placeholders(tagIds, eventIds.length)})
+  `,
+    [...eventIds, ...tagIds]
+  );
+  const linked = new Set(
+    existing.rows.map((row) => `${row.event_id}:${row.tag_id}`)
+  );
+
+  let added = 0;
+  for (const eventId of eventIds) {
+    for (const tagId of tagIds) {
+      if (linked.has(`${eventId}:${tagId}`)) continue;
+      await client.query(
+        "INSERT INTO event_tags (event_id, tag_id, tagged_by) VALUES ($1, $2, $3)",
+        [eventId, tagId, userId]
+      );
+      added += 1;
+    }
+  }
+  return added;
+}
+
+// Detach tags from events. Returns the number of links removed.
+async function untagEvents(client, eventIds, tagIds) {
+  if (eventIds.length === 0 || tagIds.length === 0) return 0;
+  const result = await client.query(
+    `
+    DELETE FROM event_tags
+    WHERE event_id IN (${placeholders(eventIds)})
+      AND tag_id IN (${placeholders(tagIds, eventIds.length)})
+  `,
+    [...eventIds, ...tagIds]
+  );
+  return result.rowCount;
+}
+
+// Tag names of an event, alphabetically
+async function loadEventTags(client, eventId) {
+  const result = await client.query(
+    `
+    SELECT t.name FROM event_tags et
+    JOIN tags t ON t.id = et.tag_id
+    WHERE et.event_id = $1
+    ORDER BY t.name
+  `,
+    [eventId]
+  );
+  return result.rows.map((row) => row.name);
+}
+
+// Select expression giving the tag names of `e` as a JSON array, in the same
+// order as loadEventTags. SQLite returns it as text.
+function eventTagsExpression(dbType) {
+  if (dbType === "postgresql") {
+    return `(
+      SELECT COALESCE(json_agg(t.name ORDER BY t.name), '[]')
+      FROM event_tags et JOIN tags t ON t.id = et.tag_id
+      WHERE et.event_id = e.id
+    )`;
+  }
+  return `(
+    SELECT json_group_array(name)
+    FROM (
+      SELECT t.name FROM event_tags et JOIN tags t ON t.id = et.tag_id
+      WHERE et.event_id = e.id ORDER BY t.name
+    )
+  )`;
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  TAG_NAME_RULE,
+  normalizeTagName,
+  parseTagNames,
+  findTagsByName,
+  findOrCreateTags,
+  resolveTagsToAdd,
+  tagEvents,
+  untagEvents,
+  loadEventTags,
+  eventTagsExpression,
+};
@@ -0,0 +1,146 @@
+// Time buckets for event statistics. Buckets are labelled by their first day
+// as YYYY-MM-DD, and weeks start on Monday (ISO 8601) on both databases.
+
+const INTERVALS = ["day", "week", "month", "year"];
+const MAX_BUCKETS = 5000;
+
+// SQL expression giving the bucket label of a date column
+function bucketExpression(dbType, interval, column) {
+  if (dbType === "postgresql") {
+    // Plain TIMESTAMP so the session time zone cannot shift the day
+    return `to_char(date_trunc('${interval}', CAST(${column} AS TIMESTAMP)), 'YYYY-MM-DD')`;
+  }
+
+  switch (interval) {
+    case "day":
+      return `date(${column})`;
+    case "week":
+      // 'weekday 0' moves forward to Sunday, six days back is the Monday
+      return `date(${column}, 'weekday 0', '-6 days')`;
+    case "month":
+      return `strftime('%Y-%m-01', ${column})`;
+    case "year":
+      return `strftime('%Y-01-01', ${column})`;
+  }
+  throw new Error(`Unknown interval: ${interval}`);
+}
+
+function parseDay(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// A real calendar date written as YYYY-MM-DD
+function isDay(value) {
+  return (
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(parseDay(value)) &&
+    formatDay(parseDay(value)) === value
+  );
+}
+
+// Label of the bucket containing a YYYY-MM-DD date, matching
+// bucketExpression
+function bucketStart(value, interval) {
+  const date = parseDay(value);
+  switch (interval) {
+    case "week":
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      break;
+    case "month":
+      date.setUTCDate(1);
+      break;
+    case "year":
+      date.setUTCMonth(0, 1);
+      break;
+  }
+  return formatDay(date);
+}
+
+function nextBucket(label, interval) {
+  const date = parseDay(label);
+  switch (interval) {
+    case "day":
+      date.setUTCDate(date.getUTCDate() + 1);
+      break;
+    case "week":
+      date.setUTCDate(date.getUTCDate() + 7);
+      break;
+    case "month":
+      date.setUTCMonth(date.getUTCMonth() + 1);
+      break;
+    case "year":
+      date.setUTCFullYear(date.getUTCFullYear() + 1);
+      break;
+  }
+  return formatDay(date);
+}
+
+function addDays(value, days) {
+  const date = parseDay(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDay(date);
+}
+
+// Label of the bucket just before `label`
+function previousBucket(label, interval) {
+  return bucketStart(addDays(label, -1), interval);
+}
+
+// Last day of the bucket starting at `label`
+function bucketEnd(label, interval) {
+  return addDays(nextBucket(label, interval), -1);
+}
+
+// Every bucket label from the bucket holding `from` to the one holding `to`,
+// or null when there would be more than MAX_BUCKETS
+function bucketRange(from, to, interval) {
+  const labels = [];
+  const last = bucketStart(to, interval);
+
+  for (
+    let label = bucketStart(from, interval);
+    label <= last;
+    label = nextBucket(label, interval)
+  ) {
+    if (labels.length === MAX_BUCKETS) return null;
+    labels.push(label);
+  }
+  return labels;
+}
+
+// Spread aggregated rows ({ bucket, ...measures }) over the full range,
+// filling buckets without events with zeros. Returns null when the range
+// has too many buckets.
+function fillBuckets(rows, { interval, from, to, measures }) {
+  const byBucket = new Map(rows.map((row) => [row.bucket, row]));
+  const labels = bucketRange(from, to, interval);
+  if (!labels) return null;
+
+  return labels.map((label) => {
+    const row = byBucket.get(label);
+    const bucket = { period: label };
+    for (const measure of measures) {
+      bucket[measure] = row ? Number(row[measure]) || 0 : 0;
+    }
+    return bucket;
+  });
+}
+
+module.exports = {
+  INTERVALS,
+  MAX_BUCKETS,
+  isDay,
+  bucketExpression,
+  addDays,
+  bucketStart,
+  nextBucket,
+  previousBucket,
+  bucketEnd,
+  bucketRange,
+  fillBuckets,
+};